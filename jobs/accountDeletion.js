@@ -0,0 +1,131 @@
+// jobs/accountDeletion.js
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const UsernameHistory = require('../models/UsernameHistory');
+const SeenPost = require('../models/SeenPost');
+const { removeExportsForUser } = require('./dataExport');
+const { logSecurityEvent } = require('../services/securityLogService');
+
+const DELETED = '[deleted]';
+
+// Drop a user's id from the vote arrays and recompute the stored score,
+// the same way the models' pre-save hooks would
+const removeVotes = (Model, userId, scoreField) => Model.updateMany(
+  { $or: [{ upvotes: userId }, { downvotes: userId }] },
+  [
+    {
+      $set: {
+        upvotes: { $filter: { input: '$upvotes', cond: { $ne: ['$$this', userId] } } },
+        downvotes: { $filter: { input: '$downvotes', cond: { $ne: ['$$this', userId] } } }
+      }
+    },
+    {
+      $set: {
+        [scoreField]: { $subtract: [{ $size: '$upvotes' }, { $size: '$downvotes' }] }
+      }
+    }
+  ]
+);
+
+// Erase everything personal about a user. Posts and comments stay so
+// threads keep their shape, but lose their content and attribution.
+// Security logs are kept as the audit trail for the account. Every step
+// is safe to re-run, so a purge that fails halfway is finished next hour.
+const purgeUser = async (userId) => {
+  await Post.updateMany(
+    { author: userId },
+    {
+      $set: { title: DELETED, content: DELETED, authorName: DELETED },
+      $unset: { externalLink: 1 }
+    }
+  );
+
+  await Comment.updateMany(
+    { author: userId },
+    { $set: { content: DELETED, authorName: DELETED, isDeleted: true } }
+  );
+
+  const votedPostIds = await Post.distinct('_id', { $or: [{ upvotes: userId }, { downvotes: userId }] });
+  await removeVotes(Post, userId, 'votes');
+  await Post.recalculateScores({ _id: { $in: votedPostIds } });
+  await removeVotes(Comment, userId, 'voteCount');
+
+  await Community.updateMany(
+    { members: userId },
+    { $pull: { members: userId }, $inc: { memberCount: -1 } }
+  );
+  await Community.updateMany({ moderators: userId }, { $pull: { moderators: userId } });
+
+  // Sent notifications go too: unsetting the sender instead would collide
+  // in the unique index with another deleted user's identical notification
+  await Notification.deleteMany({ user: userId });
+  await Notification.deleteMany({ sender: userId });
+
+  // Follows in both directions. The list is cleared as it's read so a
+  // re-run doesn't decrement the follower counts twice.
+  const { following = [] } = await User.findOneAndUpdate(
+    { _id: userId },
+    { $set: { following: [] } }
+  ).select('following').lean() || {};
+  await User.updateMany(
+    { _id: { $in: following }, followerCount: { $gt: 0 } },
+    { $inc: { followerCount: -1 } }
+  );
+  await User.updateMany({ following: userId }, { $pull: { following: userId } });
+
+  await removeExportsForUser(userId);
+
+  await UsernameHistory.deleteMany({ user: userId });
+  await SeenPost.deleteMany({ user: userId });
+  await RefreshToken.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+
+  // Saved and hidden posts and linked identities go with the document itself
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge every account whose grace period has run out
+const processDueDeletions = async () => {
+  const dueUsers = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } })
+    .select('_id deletion');
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      // The user may have cancelled since the query above
+      const stillDue = await User.exists({
+        _id: user._id,
+        'deletion.scheduledFor': { $lte: new Date() }
+      });
+      if (!stillDue) continue;
+
+      await purgeUser(user._id);
+      purged++;
+
+      await logSecurityEvent(null, 'ACCOUNT_PURGED', {
+        userId: user._id,
+        severity: 'medium',
+        metadata: { requestedAt: user.deletion.requestedAt }
+      });
+    } catch (error) {
+      // Left scheduled, so the next run retries it
+      console.error(`Account purge failed for ${user._id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} deleted account(s)`);
+  }
+
+  return purged;
+};
+
+module.exports = {
+  purgeUser,
+  processDueDeletions
+};
@@ -0,0 +1,217 @@
+// jobs/dataExport.js
+const mongoose = require('mongoose');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const Notification = require('../models/Notification');
+const SecurityLog = require('../models/SecurityLog');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const NotificationService = require('../utils/notificationUtils');
+const socialAccountService = require('../services/socialAccountService');
+const { sendEmail, emailTemplates } = require('../services/emailService');
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS, 10) || 7;
+
+// An export stuck in processing this long is assumed lost to a restart
+const STALE_AFTER = 60 * 60 * 1000;
+
+// Archives live in GridFS rather than on local disk, so any instance can
+// serve a download or expire an archive another instance built
+const exportBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+  bucketName: 'dataExports'
+});
+
+const saveArchive = (dataExport, archive) => new Promise((resolve, reject) => {
+  const upload = exportBucket().openUploadStream(`${dataExport._id}.json.gz`, {
+    metadata: { exportId: dataExport._id, user: dataExport.user }
+  });
+  upload.once('error', reject);
+  upload.once('finish', () => resolve(upload.id));
+  upload.end(archive);
+});
+
+const removeArchive = async (fileId) => {
+  try {
+    await exportBucket().delete(fileId);
+  } catch (error) {
+    // Already gone is fine; anything else should surface
+    if (!/file not found/i.test(error.message)) throw error;
+  }
+};
+
+// Readable stream of a ready export's archive
+const openArchive = (dataExport) => exportBucket().openDownloadStream(dataExport.fileId);
+
+// Everything we hold about the account, in one JSON document
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [posts, comments, postVotes, commentVotes, savedPosts, communities,
+    notifications, securityLog, sessions] = await Promise.all([
+    Post.find({ author: userId }).select('-upvotes -downvotes').lean(),
+    Comment.find({ author: userId }).select('-upvotes -downvotes').lean(),
+    Post.find({ $or: [{ upvotes: userId }, { downvotes: userId }] })
+      .select('title slug subreddit upvotes').lean(),
+    Comment.find({ $or: [{ upvotes: userId }, { downvotes: userId }] })
+      .select('post content upvotes').lean(),
+    Post.find({ _id: { $in: user.savedPosts || [] } })
+      .select('title slug subreddit createdAt').lean(),
+    Community.find({ $or: [{ members: userId }, { moderators: userId }] })
+      .select('name displayName moderators members').lean(),
+    Notification.find({ user: userId }).lean(),
+    SecurityLog.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Session.find({ user: userId }).lean()
+  ]);
+
+  const voteDirection = (item) => (
+    item.upvotes.some(id => id.equals(userId)) ? 'up' : 'down'
+  );
+  const hasId = (list, id) => (list || []).some(entry => entry.equals(id));
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toObject(),
+    linkedAccounts: socialAccountService.listIdentities(user),
+    settings: {
+      preferences: user.preferences,
+      allowAdultContent: user.allowAdultContent,
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    posts,
+    comments,
+    votes: [
+      ...postVotes.map(post => ({
+        type: 'post',
+        id: post._id,
+        title: post.title,
+        subreddit: post.subreddit,
+        direction: voteDirection(post)
+      })),
+      ...commentVotes.map(comment => ({
+        type: 'comment',
+        id: comment._id,
+        post: comment.post,
+        content: comment.content,
+        direction: voteDirection(comment)
+      }))
+    ],
+    savedPosts,
+    communities: communities.map(community => ({
+      name: community.name,
+      displayName: community.displayName,
+      member: hasId(community.members, userId),
+      moderator: hasId(community.moderators, userId)
+    })),
+    notifications,
+    securityLog,
+    sessions: sessions.map(({ _id, ipAddress, userAgent, createdAt, lastSeenAt, revokedAt }) => ({
+      id: _id, ipAddress, userAgent, createdAt, lastSeenAt, revokedAt
+    }))
+  };
+};
+
+const notifyReady = async (user, dataExport) => {
+  const settingsLink = `${process.env.FRONTEND_URL}/settings/data-export`;
+
+  await NotificationService.createSystemNotification(
+    user._id,
+    'data_export_ready',
+    'Your data export is ready to download',
+    settingsLink
+  );
+
+  sendEmail(
+    user.email,
+    'Your data export is ready',
+    emailTemplates.dataExportReadyEmail(user.username, settingsLink, dataExport.expiresAt)
+  ).catch(error => console.error('Data export email error:', error));
+};
+
+// Build one export. Claims it atomically so a request kick-off and the
+// scheduled sweep never build the same archive twice.
+const buildExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    if (!data) {
+      throw new Error('User no longer exists');
+    }
+
+    const archive = await gzip(JSON.stringify(data, null, 2));
+    const fileId = await saveArchive(dataExport, archive);
+
+    dataExport.status = 'ready';
+    dataExport.fileId = fileId;
+    dataExport.size = archive.length;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await dataExport.save();
+
+    const user = await User.findById(dataExport.user).select('username email');
+    if (user) {
+      await notifyReady(user, dataExport);
+    }
+
+    return dataExport;
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+    return dataExport;
+  }
+};
+
+// Sweep: requeue exports lost mid-build, build pending ones, and delete
+// archives past their expiry
+const processDataExports = async () => {
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_AFTER) } },
+    { status: 'pending' }
+  );
+
+  const pending = await DataExport.find({ status: 'pending' }).select('_id').sort({ createdAt: 1 });
+  for (const { _id } of pending) {
+    await buildExport(_id);
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+  for (const dataExport of expired) {
+    if (dataExport.fileId) {
+      await removeArchive(dataExport.fileId);
+    }
+    await dataExport.deleteOne();
+  }
+};
+
+// Remove every export, archive included, for a user being purged
+const removeExportsForUser = async (userId) => {
+  const exports = await DataExport.find({ user: userId });
+  for (const dataExport of exports) {
+    if (dataExport.fileId) {
+      await removeArchive(dataExport.fileId);
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+};
+
+module.exports = {
+  openArchive,
+  collectUserData,
+  buildExport,
+  processDataExports,
+  removeExportsForUser
+};
@@ -0,0 +1,49 @@
+// jobs/usernameBackfill.js
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const UsernameHistory = require('../models/UsernameHistory');
+
+// Rewrite the names copied onto a user's posts, comments and sent
+// notifications to their current username
+const backfillUser = async (userId) => {
+  const user = await User.findById(userId).select('username');
+  if (!user) return false;
+
+  const { username } = user;
+  await Post.updateMany({ author: userId, authorName: { $ne: username } }, { $set: { authorName: username } });
+  await Comment.updateMany(
+    { author: userId, authorName: { $ne: username }, isDeleted: { $ne: true } },
+    { $set: { authorName: username } }
+  );
+  await Notification.updateMany({ sender: userId, senderName: { $ne: username } }, { $set: { senderName: username } });
+
+  return true;
+};
+
+// Process every rename not yet backfilled. Several renames by one user
+// collapse into one pass, since only the current name matters.
+const backfillDenormalizedNames = async () => {
+  const userIds = await UsernameHistory.distinct('user', { backfilledAt: { $exists: false } });
+
+  for (const userId of userIds) {
+    try {
+      const startedAt = new Date();
+      await backfillUser(userId);
+      await UsernameHistory.updateMany(
+        { user: userId, backfilledAt: { $exists: false }, createdAt: { $lte: startedAt } },
+        { $set: { backfilledAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`Username backfill failed for ${userId}:`, error);
+    }
+  }
+
+  return userIds.length;
+};
+
+module.exports = {
+  backfillUser,
+  backfillDenormalizedNames
+};
@@ -1,6 +1,30 @@
-// middleware/auth.js - REMOVED email verification check
+// middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenBlacklist = require('../models/TokenBlacklist');
+const tokenService = require('../services/tokenService');
+const { hasRole, hasPermission, canModerateCommunity } = require('../utils/permissions');
+const { logSecurityEvent } = require('../services/securityLogService');
+
+// Verify a JWT signature and make sure it hasn't been blacklisted
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (2FA challenges etc.) share the secret but can't authenticate
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Token cannot be used for authentication');
+  }
+
+  if (await TokenBlacklist.isRevoked(token)) {
+    const error = new Error('Token has been revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+
+  return decoded;
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 const auth = async (req, res, next) => {
   try {
@@ -12,7 +36,7 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyToken(token);
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
@@ -21,13 +45,36 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // REMOVED: Email verification check
-    // if (!user.emailVerified) {
-    //   return res.status(403).json({ 
-    //     error: 'Email not verified. Please verify your email before proceeding.',
-    //     code: 'EMAIL_NOT_VERIFIED'
-    //   });
-    // }
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        error: 'Password was changed. Please login again.' 
+      });
+    }
+
+    // Tokens bound to a session die with it (remote sign-out, logout)
+    if (decoded.sid) {
+      const session = await tokenService.touchSession(decoded.sid, req);
+      if (!session) {
+        return res.status(401).json({ 
+          error: 'Session has been signed out. Please login again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+      req.sessionId = decoded.sid;
+    }
+
+    // Email verification is enforced per route by requireVerifiedEmail
+
+    // Suspended accounts can still read. Writes are refused unless the
+    // route opted in with allowWhileSuspended (logout, appeals, ...).
+    if (user.isSuspended() && !READ_METHODS.includes(req.method) && !req.allowWhileSuspended) {
+      return res.status(403).json({ 
+        error: 'Your account is suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        suspension: user.getSuspensionDetails()
+      });
+    }
 
     req.user = user;
     req.token = token;
@@ -35,15 +82,32 @@ const auth = async (req, res, next) => {
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
-        error: 'Token has expired. Please login again.' 
+        error: 'Token has expired. Please login again.',
+        code: 'TOKEN_EXPIRED'
       });
     }
     
     if (error.name === 'JsonWebTokenError') {
+      await logSecurityEvent(req, 'INVALID_TOKEN', {
+        severity: 'medium',
+        metadata: { reason: error.message }
+      });
+
       return res.status(401).json({ 
         error: 'Invalid authentication token' 
       });
     }
+
+    if (error.name === 'TokenRevokedError') {
+      await logSecurityEvent(req, 'BLACKLISTED_TOKEN_ACCESS', {
+        userId: jwt.decode(req.header('Authorization')?.replace('Bearer ', ''))?.userId,
+        severity: 'high'
+      });
+
+      return res.status(401).json({ 
+        error: 'Token has been revoked. Please login again.' 
+      });
+    }
     
     res.status(500).json({ 
       error: 'Authentication failed' 
@@ -51,4 +115,91 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+// Limit what unverified accounts can do, per UNVERIFIED_ACCOUNT_POLICY:
+//   allow      - no restrictions (default)
+//   no_posting - can't create posts or comments
+//   read_only  - can't make any changes
+// `action` is 'post' for content creation and 'write' for everything else.
+const requireVerifiedEmail = (action = 'write') => (req, res, next) => {
+  const policy = process.env.UNVERIFIED_ACCOUNT_POLICY || 'allow';
+
+  if (!req.user || req.user.emailVerified || policy === 'allow') {
+    return next();
+  }
+
+  const blocked = policy === 'read_only' || (policy === 'no_posting' && action === 'post');
+
+  if (blocked) {
+    return res.status(403).json({ 
+      error: 'Email not verified. Please verify your email before proceeding.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Mark a write route as usable by suspended accounts. Must come before auth.
+const allowWhileSuspended = (req, res, next) => {
+  req.allowWhileSuspended = true;
+  next();
+};
+
+// Authenticate when a token is sent, otherwise continue as a guest.
+// A bad or expired token still fails so the client knows to refresh.
+const optional = (req, res, next) => {
+  if (!req.header('Authorization')) return next();
+  auth(req, res, next);
+};
+
+// Run `check` with req.user loaded, authenticating first if needed
+const withUser = (check) => (req, res, next) => {
+  if (req.user) return check(req, res, next);
+  auth(req, res, () => check(req, res, next));
+};
+
+// Allow only users holding one of the given site roles
+const requireRole = (roles) => withUser((req, res, next) => {
+  if (!hasRole(req.user, roles)) {
+    return res.status(403).json({ 
+      error: 'You do not have permission to perform this action' 
+    });
+  }
+  next();
+});
+
+// Allow only users whose role grants `permission`
+const requirePermission = (permission) => withUser((req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ 
+      error: 'You do not have permission to perform this action' 
+    });
+  }
+  next();
+});
+
+// Allow moderators of the community named by `req.params[param]`
+const requireCommunityModerator = (param = 'name') => withUser(async (req, res, next) => {
+  try {
+    if (!(await canModerateCommunity(req.user, req.params[param]))) {
+      return res.status(403).json({ 
+        error: 'Only moderators of this community can perform this action' 
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Authorization failed' 
+    });
+  }
+});
+
+auth.verifyToken = verifyToken;
+auth.requireVerifiedEmail = requireVerifiedEmail;
+auth.allowWhileSuspended = allowWhileSuspended;
+auth.optional = optional;
+auth.requireRole = requireRole;
+auth.requirePermission = requirePermission;
+auth.requireCommunityModerator = requireCommunityModerator;
+
+module.exports = auth;
@@ -1,84 +1,151 @@
 // middleware/security.js
-const rateLimit = require('express-rate-limit');
-const crypto = require('crypto');
+const { createLimiter } = require('../utils/rateLimits');
+const ephemeralStore = require('../services/ephemeralStore');
+const { logSecurityEvent } = require('../services/securityLogService');
 
-// Check for bot-like behavior
-const checkBot = (req, res, next) => {
-  const userAgent = req.get('User-Agent') || '';
-  
-  // Common bot user agents
-  const botPatterns = [
-    /bot/i,
-    /crawl/i,
-    /spider/i,
-    /scraper/i,
-    /curl/i,
-    /wget/i,
-    /python/i,
-    /java/i,
-    /php/i,
-    /node/i
-  ];
-  
-  const isLikelyBot = botPatterns.some(pattern => 
-    pattern.test(userAgent)
+// Heuristics are configurable so false positives can be tuned without a
+// deploy; every block is logged as BOT_BLOCKED with the check that fired.
+//   ANTI_ABUSE_ENABLED                  'false' turns every check off
+//   BOT_USER_AGENT_PATTERNS             comma-separated regexes (case-insensitive)
+//   BOT_REQUIRED_HEADERS                headers real browsers always send
+//   BOT_HONEYPOT_FIELDS                 hidden form fields only bots fill in
+//   ANTI_ABUSE_MIN_INTERVAL_MS          minimum gap between submissions
+//   ANTI_ABUSE_<ACTION>_MIN_INTERVAL_MS per-action override (e.g. ..._POST_...)
+const DEFAULT_BOT_PATTERNS = 'bot,crawl,spider,scraper,curl,wget,python,java,php,node';
+// 0 turns the timing check off. Login has none: people retry a mistyped
+// password within seconds, and the login rate limiter already covers
+// brute force.
+const DEFAULT_MIN_INTERVALS = {
+  register: 3000,
+  login: 0,
+  post: 3000,
+  comment: 2000
+};
+
+const listFromEnv = (name, fallback) => (process.env[name] || fallback)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const getConfig = () => ({
+  enabled: process.env.ANTI_ABUSE_ENABLED !== 'false',
+  botPatterns: listFromEnv('BOT_USER_AGENT_PATTERNS', DEFAULT_BOT_PATTERNS)
+    .map(pattern => new RegExp(pattern, 'i')),
+  requiredHeaders: listFromEnv('BOT_REQUIRED_HEADERS', 'accept,accept-language'),
+  honeypotFields: listFromEnv('BOT_HONEYPOT_FIELDS', 'website,url')
+});
+
+const minIntervalFor = (action) => {
+  const fallback = DEFAULT_MIN_INTERVALS[action] ?? 2000;
+  const value = parseInt(
+    process.env[`ANTI_ABUSE_${action.toUpperCase()}_MIN_INTERVAL_MS`] ||
+    // The shared setting doesn't switch the check back on where it's off
+    (fallback > 0 ? process.env.ANTI_ABUSE_MIN_INTERVAL_MS : undefined),
+    10
   );
-  
-  // Check for missing or suspicious headers
-  const missingCommonHeaders = !req.get('Accept') || !req.get('Accept-Language');
-  
-  // Check for too fast submissions
-  const submissionTime = Date.now();
-  const lastRequestTime = req.session?.lastRequestTime || 0;
-  const tooFast = submissionTime - lastRequestTime < 2000; // Less than 2 seconds
-  
-  if ((isLikelyBot && missingCommonHeaders) || tooFast) {
-    return res.status(403).json({
-      error: 'Suspicious activity detected. Please try again.'
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const block = async (req, res, { action, check, status, error, metadata }) => {
+  await logSecurityEvent(req, 'BOT_BLOCKED', {
+    severity: 'medium',
+    metadata: { action, check, ...metadata }
+  });
+
+  res.status(status).json({ error });
+};
+
+// Check for bot-like behavior: a bot user agent (or none at all) combined
+// with missing headers every browser sends
+const checkBot = (action) => async (req, res, next) => {
+  const config = getConfig();
+  if (!config.enabled) return next();
+
+  const userAgent = req.get('User-Agent') || '';
+  const isLikelyBot = !userAgent || config.botPatterns.some(pattern => pattern.test(userAgent));
+  const missingHeaders = config.requiredHeaders.filter(header => !req.get(header));
+
+  if (isLikelyBot && missingHeaders.length > 0) {
+    return block(req, res, {
+      action,
+      check: 'user_agent',
+      status: 403,
+      error: 'Suspicious activity detected. Please try again.',
+      metadata: { missingHeaders }
     });
   }
-  
-  // Store request time for next check
-  if (!req.session) req.session = {};
-  req.session.lastRequestTime = submissionTime;
-  
+
   next();
 };
 
-// Honeypot field check
-const checkHoneypot = (req, res, next) => {
-  // Add a hidden field named "website" or "url" in your form
-  // Bots often fill this field
-  if (req.body.website || req.body.url) {
-    return res.status(400).json({
-      error: 'Spam detected'
+// Honeypot field check: the frontend renders these fields hidden, so only
+// bots fill them in
+const checkHoneypot = (action) => async (req, res, next) => {
+  const config = getConfig();
+  if (!config.enabled) return next();
+
+  const filled = config.honeypotFields.filter(field => req.body?.[field]);
+
+  if (filled.length > 0) {
+    return block(req, res, {
+      action,
+      check: 'honeypot',
+      status: 400,
+      error: 'Spam detected',
+      metadata: { fields: filled }
     });
   }
-  
-  // Check for rapid form submission
-  const now = Date.now();
-  const lastSubmission = req.session?.lastFormSubmission || 0;
-  
-  if (now - lastSubmission < 3000) { // 3 seconds minimum between submissions
-    return res.status(429).json({
-      error: 'Please wait a moment before trying again.'
-    });
+
+  next();
+};
+
+// Submissions faster than a person could make them. Keyed by account once
+// signed in, else by IP.
+const checkSubmissionRate = (action) => async (req, res, next) => {
+  if (!getConfig().enabled) return next();
+
+  const minInterval = minIntervalFor(action);
+  if (minInterval <= 0) return next();
+
+  try {
+    const client = req.user?._id ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const now = Date.now();
+
+    const previous = await ephemeralStore.swap(`abuse:${action}:${client}`, now, minInterval);
+    const elapsed = previous ? now - Number(previous) : Infinity;
+
+    if (elapsed < minInterval) {
+      return block(req, res, {
+        action,
+        check: 'too_fast',
+        status: 429,
+        error: 'Please wait a moment before trying again.',
+        metadata: { elapsedMs: elapsed, minIntervalMs: minInterval }
+      });
+    }
+  } catch (error) {
+    // Never lock people out because the timing store is unavailable
+    console.error('Submission rate check error:', error);
   }
-  
-  req.session.lastFormSubmission = now;
+
   next();
 };
 
+// All anti-abuse checks for a form submission. For authenticated routes,
+// mount after auth so timing is tracked per account.
+const antiAbuse = (action) => [
+  checkHoneypot(action),
+  checkBot(action),
+  checkSubmissionRate(action)
+];
+
 // IP-based rate limiting (more strict)
-const strictRegisterLimiter = rateLimit({
-  windowMs: 24 * 60 * 60 * 1000, // 24 hours
-  max: 5, // 5 registrations per day per IP
-  message: 'Too many registration attempts from this IP address.',
-  skipSuccessfulRequests: true
-});
+const strictRegisterLimiter = createLimiter('strict_register');
 
 module.exports = {
   checkBot,
   checkHoneypot,
+  checkSubmissionRate,
+  antiAbuse,
   strictRegisterLimiter
-};
\ No newline at end of file
+};
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested from /api/auth/export. The archive
+// itself is stored in GridFS so every instance can serve and expire it;
+// jobs/dataExport.js builds it and removes it once expiresAt passes.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  fileId: mongoose.Schema.Types.ObjectId,
+  size: Number,
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && !!this.fileId && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
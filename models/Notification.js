@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['comment_reply', 'post_reply', 'upvote', 'downvote', 'mention', 'new_follower'],
+    enum: ['comment_reply', 'post_reply', 'upvote', 'downvote', 'mention', 'new_follower', 'data_export_ready'],
     required: true
   },
   sender: {
@@ -1,6 +1,7 @@
 // models/Post.js
 const mongoose = require('mongoose');
 const slugify = require("slugify");
+const { computeScores } = require('../utils/ranking');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -28,7 +29,8 @@ const postSchema = new mongoose.Schema({
   },
   community: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Community'
+    ref: 'Community',
+    index: true
   },
   subreddit: {
     type: String,
@@ -68,6 +70,19 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Ranking scores, kept in step with the votes by the pre-save hook
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  bestScore: {
+    type: Number,
+    default: 0
+  },
+  controversialScore: {
+    type: Number,
+    default: 0
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -79,14 +94,24 @@ const postSchema = new mongoose.Schema({
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // Set on every edit; the full history lives in PostRevision
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  revisionCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
-// Generate slug before saving
+// Generate slug before saving. Only new posts get one here so that edits
+// to the title don't break existing links.
 postSchema.pre("save", async function (next) {
-  if (!this.isModified("title")) return next();
+  if (!this.isNew || !this.isModified("title")) return next();
 
   const baseSlug = slugify(this.title, {
     lower: true,
@@ -104,11 +129,15 @@ postSchema.pre("save", async function (next) {
   next();
 });
 
-// Auto-calculate vote score
+// Auto-calculate vote score and ranking scores
 postSchema.pre('save', function (next) {
-  const upvoteCount = this.upvotes?.length || 0;
-  const downvoteCount = this.downvotes?.length || 0;
-  this.votes = upvoteCount - downvoteCount;
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
+    Object.assign(this, computeScores({
+      upvotes: this.upvotes,
+      downvotes: this.downvotes,
+      createdAt: this.createdAt || new Date()
+    }));
+  }
   next();
 });
 
@@ -124,4 +153,38 @@ postSchema.pre('save', async function (next) {
   next();
 });
 
+// One index per listing sort, site-wide and per community
+['createdAt', 'hotScore', 'bestScore', 'votes', 'controversialScore'].forEach((field) => {
+  postSchema.index({ [field]: -1, _id: -1 });
+  postSchema.index({ subreddit: 1, [field]: -1, _id: -1 });
+});
+
+// Recompute stored scores for posts matching a filter, for writes that
+// bypass save() (bulk vote removal, backfills)
+postSchema.statics.recalculateScores = async function (filter = {}) {
+  const cursor = this.find(filter).select('upvotes downvotes createdAt').lean().cursor();
+  let ops = [];
+  let updated = 0;
+
+  for await (const post of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: computeScores(post) }
+      }
+    });
+    if (ops.length === 500) {
+      await this.bulkWrite(ops);
+      updated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length) {
+    await this.bulkWrite(ops);
+    updated += ops.length;
+  }
+  return updated;
+};
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
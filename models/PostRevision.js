@@ -0,0 +1,45 @@
+// models/PostRevision.js
+const mongoose = require('mongoose');
+
+// Snapshot of a post as it stood after each version. Revision 1 is the
+// original post; every edit adds the next number.
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  externalLink: {
+    url: { type: String },
+    platform: { type: String },
+    title: String,
+    description: String,
+    image: String,
+    video: String,
+    siteName: String
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postRevisionSchema.index({ post: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Every token descended from the same login shares a family (the Session id)
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  replacedBy: String,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'signed_out_remotely', 'reuse_detected', 'password_change', 'revoked']
+  },
+  createdByIp: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,29 @@
+// models/SeenPost.js
+const mongoose = require('mongoose');
+
+// Posts a user has already been shown, so the home feed can skip them.
+// Entries expire so the list stays small and old posts can resurface.
+const SEEN_POST_TTL_DAYS = parseInt(process.env.SEEN_POST_TTL_DAYS) || 30;
+
+const seenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  seenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+seenPostSchema.index({ user: 1, seenAt: -1 });
+seenPostSchema.index({ seenAt: 1 }, { expireAfterSeconds: SEEN_POST_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SeenPost', seenPostSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 const tokenBlacklistSchema = new mongoose.Schema({
   tokenHash: {
@@ -30,4 +32,33 @@ const tokenBlacklistSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Hash tokens before storing so a leaked blacklist can't be replayed
+tokenBlacklistSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Blacklist a JWT until it would have expired on its own
+tokenBlacklistSchema.statics.revokeToken = async function(token, reason = 'logout') {
+  const decoded = jwt.decode(token);
+  const expiresAt = decoded?.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+  return await this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token) },
+    {
+      tokenHash: this.hashToken(token),
+      userId: decoded?.userId,
+      reason,
+      expiresAt
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+tokenBlacklistSchema.statics.isRevoked = async function(token) {
+  const entry = await this.exists({ tokenHash: this.hashToken(token) });
+  return !!entry;
+};
+
 module.exports = mongoose.model('TokenBlacklist', tokenBlacklistSchema);
\ No newline at end of file
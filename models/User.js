@@ -35,10 +35,26 @@ const userSchema = new mongoose.Schema({
     minlength: 6
   },
 
+  // False for accounts created through social login, which get a random
+  // password nobody knows until one is set via reset or profile update.
+  // Accounts older than this field are set by scripts/backfill-has-password.js
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+
   // Social login IDs
   googleId: { type: String, unique: true, sparse: true },
   githubId: { type: String, unique: true, sparse: true },
   facebookId: { type: String, unique: true, sparse: true },
+
+  // Identities from configured OIDC providers
+  oauthIdentities: [{
+    provider: { type: String, required: true },
+    providerId: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
   
   // Profile picture URL
   profilePicture: {
@@ -81,12 +97,46 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
 
-  // Account status
+  // Account status; false while suspended
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // Site-wide suspension set from /api/admin. No expiresAt means permanent.
+  suspension: {
+    reason: String,
+    // Internal to staff; never shown to the user
+    note: String,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    suspendedAt: Date,
+    expiresAt: Date,
+    appeal: {
+      message: String,
+      submittedAt: Date,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected']
+      },
+      response: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
+    }
+  },
+
+  // Site-wide role; permissions per role live in utils/permissions.js
+  role: {
+    type: String,
+    enum: ['user', 'security', 'admin'],
+    default: 'user'
+  },
+
   // Email verification (optional)
   emailVerified: {
     type: Boolean,
@@ -118,6 +168,70 @@ ageVerified: {
   resetPasswordToken: String,
   resetPasswordExpires: Date,
 
+  // Passwordless sign-in link (SHA-256 of the emailed token)
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+
+  // Tokens issued before this moment are rejected by the auth middleware
+  passwordChangedAt: Date,
+
+  // TOTP two-factor authentication (opt-in)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+
+  // Posts bookmarked with /api/posts/:id/save
+  savedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+
+  // Posts kept out of the home feed with /api/posts/:id/hide
+  hiddenPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+
+  // Users whose posts appear in the home feed
+  following: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Pending account deletion; jobs/accountDeletion.js purges the account
+  // once scheduledFor passes unless it is cancelled first
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+
   // Account creation and activity
   createdAt: {
     type: Date,
@@ -134,6 +248,12 @@ ageVerified: {
       enum: ['light', 'dark', 'system'],
       default: 'system'
     },
+    // Default ranking for the home feed
+    feedSort: {
+      type: String,
+      enum: ['hot', 'best', 'new', 'top', 'controversial'],
+      default: 'hot'
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -154,8 +274,17 @@ ageVerified: {
       delete ret.password;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
+      delete ret.magicLinkToken;
+      delete ret.magicLinkExpires;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.passwordChangedAt;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: !!ret.twoFactor.enabled };
+      }
+      if (ret.suspension) {
+        delete ret.suspension.note;
+      }
       
       // Manually add formatted date if createdAt exists
       if (doc.createdAt && doc.createdAt instanceof Date && !isNaN(doc.createdAt.getTime())) {
@@ -196,8 +325,17 @@ ageVerified: {
       delete ret.password;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
+      delete ret.magicLinkToken;
+      delete ret.magicLinkExpires;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.passwordChangedAt;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: !!ret.twoFactor.enabled };
+      }
+      if (ret.suspension) {
+        delete ret.suspension.note;
+      }
       
       // Manually add formatted date if createdAt exists
       if (doc.createdAt && doc.createdAt instanceof Date && !isNaN(doc.createdAt.getTime())) {
@@ -293,6 +431,39 @@ userSchema.methods.isLocked = function() {
   return this.lockUntil && this.lockUntil > Date.now();
 };
 
+// Suspended now? Timed suspensions lapse on their own at expiresAt;
+// isActive: false without details is treated as a permanent ban.
+userSchema.methods.isSuspended = function() {
+  if (this.suspension?.suspendedAt) {
+    return !this.suspension.expiresAt || this.suspension.expiresAt > Date.now();
+  }
+  return this.isActive === false;
+};
+
+// What a suspended user is told about their suspension
+userSchema.methods.getSuspensionDetails = function() {
+  const suspension = this.suspension || {};
+  return {
+    reason: suspension.reason || 'Your account has been suspended',
+    suspendedAt: suspension.suspendedAt,
+    expiresAt: suspension.expiresAt || null,
+    permanent: !suspension.expiresAt,
+    appeal: suspension.appeal?.status
+      ? {
+          status: suspension.appeal.status,
+          submittedAt: suspension.appeal.submittedAt,
+          response: suspension.appeal.response
+        }
+      : null
+  };
+};
+
+// Check whether a token issued at `iat` (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) return false;
+  return iat * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Add social link
 userSchema.methods.addSocialLink = function(platform, url) {
   if (!this.socialLinks) {
@@ -356,6 +527,12 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so a token signed right after the save stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+      this.hasPassword = true;
+    }
     next();
   } catch (error) {
     next(error);
@@ -376,7 +553,15 @@ userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 }, { sparse: true });
 userSchema.index({ githubId: 1 }, { sparse: true });
 userSchema.index({ facebookId: 1 }, { sparse: true });
+userSchema.index(
+  { 'oauthIdentities.provider': 1, 'oauthIdentities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthIdentities.providerId': { $exists: true } } }
+);
+userSchema.index({ role: 1 });
+userSchema.index({ 'suspension.appeal.status': 1 }, { sparse: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 userSchema.index({ karma: -1 });
+userSchema.index({ following: 1 });
 userSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One entry per username a user has given up. The old name stays reserved
+// for its previous owner until reservedUntil, and keeps resolving to them
+// after that until someone else claims it.
+const usernameHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  usernameLower: {
+    type: String,
+    required: true,
+    index: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reservedUntil: Date,
+  // Set once posts, comments and notifications carry the new name
+  backfilledAt: Date
+}, {
+  timestamps: true
+});
+
+usernameHistorySchema.index({ user: 1, changedAt: -1 });
+
+module.exports = mongoose.model('UsernameHistory', usernameHistorySchema);
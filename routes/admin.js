@@ -0,0 +1,350 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+const tokenService = require('../services/tokenService');
+const { logSecurityEvent } = require('../services/securityLogService');
+
+/* ---------------------------------------------------
+   SITE ROLES
+--------------------------------------------------- */
+
+// List users holding a non-default role
+router.get('/roles', auth.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const users = await User.find({ role: { $ne: 'user' } })
+      .select('username email role')
+      .sort({ role: 1, username: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      roles: ROLES,
+      users: users.map(user => ({
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }))
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch roles' });
+  }
+});
+
+// Grant a site role
+router.put('/users/:userId/role', auth.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Role must be one of: ${ROLES.join(', ')}` 
+      });
+    }
+
+    // Stops an admin from locking themselves (and possibly everyone) out
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const previousRole = user.role || 'user';
+    if (previousRole === role) {
+      return res.status(400).json({ success: false, error: `User already has the ${role} role` });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await logSecurityEvent(req, role === 'user' ? 'ROLE_REVOKED' : 'ROLE_GRANTED', {
+      userId: user._id,
+      severity: 'high',
+      metadata: {
+        role,
+        previousRole,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username,
+        reason: reason || null
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.username} is now ${role}`,
+      user: { id: user._id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update role' });
+  }
+});
+
+// Revoke a site role (back to a regular user)
+router.delete('/users/:userId/role', auth.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const previousRole = user.role || 'user';
+    if (previousRole === 'user') {
+      return res.status(400).json({ success: false, error: 'User has no role to revoke' });
+    }
+
+    user.role = 'user';
+    await user.save();
+
+    await logSecurityEvent(req, 'ROLE_REVOKED', {
+      userId: user._id,
+      severity: 'high',
+      metadata: {
+        role: 'user',
+        previousRole,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username,
+        reason: req.body?.reason || null
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${previousRole} role revoked from ${user.username}`,
+      user: { id: user._id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke role' });
+  }
+});
+
+/* ---------------------------------------------------
+   SUSPENSIONS
+--------------------------------------------------- */
+
+const suspensionSummary = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  suspended: user.isSuspended(),
+  suspension: {
+    ...user.getSuspensionDetails(),
+    note: user.suspension?.note,
+    suspendedBy: user.suspension?.suspendedBy,
+    appealMessage: user.suspension?.appeal?.message
+  }
+});
+
+// List suspended users; ?appeal=pending narrows to appeals awaiting review
+router.get('/suspensions', auth.requirePermission('suspend_users'), async (req, res) => {
+  try {
+    const query = { $or: [{ 'suspension.suspendedAt': { $exists: true } }, { isActive: false }] };
+    if (req.query.appeal) {
+      query['suspension.appeal.status'] = req.query.appeal;
+    }
+
+    const users = await User.find(query)
+      .select('username email isActive suspension')
+      .sort({ 'suspension.suspendedAt': -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      users: users.filter(user => user.isSuspended()).map(suspensionSummary)
+    });
+  } catch (error) {
+    console.error('List suspensions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch suspensions' });
+  }
+});
+
+// Suspend a user. Omit durationDays (and expiresAt) for a permanent ban.
+router.put('/users/:userId/suspension', auth.requirePermission('suspend_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, note, durationDays, expiresAt } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required' });
+    }
+
+    let expiry = null;
+    if (durationDays !== undefined && durationDays !== null) {
+      const days = Number(durationDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({ success: false, error: 'durationDays must be a positive number' });
+      }
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    } else if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= Date.now()) {
+        return res.status(400).json({ success: false, error: 'expiresAt must be a future date' });
+      }
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: 'You cannot suspend yourself' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    // Admins have to be demoted first, so one admin can't quietly lock out another
+    if (user.role === 'admin') {
+      return res.status(400).json({ success: false, error: 'Remove the admin role before suspending this user' });
+    }
+
+    user.isActive = false;
+    user.suspension = {
+      reason: reason.trim(),
+      note: note || undefined,
+      suspendedBy: req.user._id,
+      suspendedAt: new Date(),
+      expiresAt: expiry || undefined
+    };
+    await user.save();
+
+    // Sign them out everywhere; they can log back in to read and appeal
+    const sessionsRevoked = await tokenService.revokeAllForUser(user._id, 'revoked');
+
+    await logSecurityEvent(req, 'USER_SUSPENDED', {
+      userId: user._id,
+      severity: 'high',
+      metadata: {
+        reason: reason.trim(),
+        expiresAt: expiry,
+        permanent: !expiry,
+        sessionsRevoked,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username
+      }
+    });
+
+    res.json({
+      success: true,
+      message: expiry
+        ? `${user.username} is suspended until ${expiry.toISOString()}`
+        : `${user.username} is permanently suspended`,
+      user: suspensionSummary(user)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to suspend user' });
+  }
+});
+
+// Lift a suspension, optionally answering a pending appeal
+router.delete('/users/:userId/suspension', auth.requirePermission('suspend_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({ success: false, error: 'User is not suspended' });
+    }
+
+    const appealed = user.suspension?.appeal?.status === 'pending';
+
+    user.isActive = true;
+    user.suspension = undefined;
+    await user.save();
+
+    await logSecurityEvent(req, 'USER_UNSUSPENDED', {
+      userId: user._id,
+      severity: 'high',
+      metadata: {
+        reason: reason || null,
+        appealAccepted: appealed,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.username} is no longer suspended`
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ success: false, error: 'Failed to lift suspension' });
+  }
+});
+
+// Reject a pending appeal; the suspension stays in place
+router.post('/users/:userId/suspension/appeal/reject', auth.requirePermission('suspend_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { response } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.suspension?.appeal?.status !== 'pending') {
+      return res.status(404).json({ success: false, error: 'No pending appeal for this user' });
+    }
+
+    user.suspension.appeal.status = 'rejected';
+    user.suspension.appeal.response = response || undefined;
+    user.suspension.appeal.reviewedBy = req.user._id;
+    user.suspension.appeal.reviewedAt = new Date();
+    await user.save();
+
+    await logSecurityEvent(req, 'SUSPENSION_APPEAL_REJECTED', {
+      userId: user._id,
+      severity: 'medium',
+      metadata: {
+        changedBy: req.user._id,
+        changedByUsername: req.user.username
+      }
+    });
+
+    res.json({ success: true, message: `Appeal from ${user.username} rejected` });
+  } catch (error) {
+    console.error('Reject appeal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reject appeal' });
+  }
+});
+
+module.exports = router;
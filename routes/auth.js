@@ -2,35 +2,59 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const rateLimit = require('express-rate-limit');
+const NotificationService = require('../utils/notificationUtils');
+const TokenBlacklist = require('../models/TokenBlacklist');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const authMiddleware = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+const oauthService = require('../services/oauthService');
+const socialAccountService = require('../services/socialAccountService');
+const DataExport = require('../models/DataExport');
+const usernameService = require('../services/usernameService');
+const { backfillUser } = require('../jobs/usernameBackfill');
+const dataExportJob = require('../jobs/dataExport');
+const totp = require('../utils/totp');
+const proofOfWork = require('../utils/proofOfWork');
+const { evaluatePassword, policyErrorResponse } = require('../utils/passwordPolicy');
+const { hasPermission } = require('../utils/permissions');
+const { logSecurityEvent } = require('../services/securityLogService');
+const { createLimiter } = require('../utils/rateLimits');
+const { antiAbuse, strictRegisterLimiter } = require('../middleware/security');
+const { sendEmail, emailTemplates } = require('../services/emailService');
+
+// Rate limiting; limits are configured in utils/rateLimits.js
+const registerLimiter = createLimiter('register');
+const loginLimiter = createLimiter('login');
+const verifyLimiter = createLimiter('verify');
+const resetLimiter = createLimiter('reset');
+const magicLinkLimiter = createLimiter('magic_link');
 
-// Rate limiting for registration
-const registerLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // 3 registrations per hour per IP
-  message: 'Too many registration attempts from this IP, please try again later.'
-});
-
-// Rate limiting for login
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // 10 login attempts per IP
-  message: 'Too many login attempts from this IP, please try again later.'
-});
+/* ---------------------------------------------------
+   REGISTRATION CHALLENGE (proof of work)
+--------------------------------------------------- */
+router.get('/challenge', async (req, res) => {
+  try {
+    if (!proofOfWork.isEnabled()) {
+      return res.json({ enabled: false });
+    }
 
-// Rate limiting for password reset
-const resetLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 5, // 5 reset attempts per IP
-  message: 'Too many password reset attempts, please try again later.'
+    res.json({
+      enabled: true,
+      ...(await proofOfWork.issueChallenge(req.ip))
+    });
+  } catch (error) {
+    console.error('Challenge error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create challenge' 
+    });
+  }
 });
 
 /* ---------------------------------------------------
    REGISTRATION
 --------------------------------------------------- */
-router.post('/register', registerLimiter, async (req, res) => {
+router.post('/register', registerLimiter, strictRegisterLimiter, antiAbuse('register'), async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
@@ -41,10 +65,28 @@ router.post('/register', registerLimiter, async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 6 characters' 
-      });
+    // Optional proof-of-work from GET /challenge, checked before any lookups
+    if (proofOfWork.isEnabled()) {
+      const failure = await proofOfWork.verifySolution(req.body.challenge, req.body.solution, req.ip);
+      if (failure) {
+        await logSecurityEvent(req, 'REGISTRATION_CHALLENGE_FAILED', {
+          severity: failure === 'missing' ? 'low' : 'medium',
+          metadata: { reason: failure }
+        });
+
+        return res.status(400).json({ 
+          error: failure === 'missing'
+            ? 'Please complete the registration challenge'
+            : 'Registration challenge failed. Please try again.',
+          code: failure === 'missing' ? 'CHALLENGE_REQUIRED' : 'CHALLENGE_FAILED',
+          reason: failure
+        });
+      }
+    }
+
+    const passwordCheck = evaluatePassword(password, { username, email });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyErrorResponse(passwordCheck));
     }
 
     // Check if user exists
@@ -80,7 +122,14 @@ router.post('/register', registerLimiter, async (req, res) => {
       });
     }
 
-    // Create user (immediately active, no email verification needed)
+    if (await usernameService.isReserved(username)) {
+      return res.status(400).json({ 
+        error: 'Username already taken. Please choose another.' 
+      });
+    }
+
+    // Create user (immediately active; UNVERIFIED_ACCOUNT_POLICY decides
+    // what they can do before verifying)
     const user = new User({ 
       username, 
       email, 
@@ -89,22 +138,28 @@ router.post('/register', registerLimiter, async (req, res) => {
 
     await user.save();
 
-    // Generate token immediately
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await logSecurityEvent(req, 'REGISTER', { userId: user._id });
+
+    // Feeds the challenge difficulty for this IP and subnet
+    await proofOfWork.recordRegistration(req.ip);
+
+    await sendVerificationEmail(user);
+
+    // Generate tokens immediately
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
 
     res.status(201).json({
-      message: 'Registration successful! Welcome to our community.',
+      message: 'Registration successful! Check your inbox to verify your email.',
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         karma: user.karma || 0
       },
       token,
+      refreshToken,
+      expiresIn,
       success: true
     });
 
@@ -119,7 +174,7 @@ router.post('/register', registerLimiter, async (req, res) => {
 /* ---------------------------------------------------
    LOGIN (Updated: Login with email OR username)
 --------------------------------------------------- */
-router.post('/login', loginLimiter, async (req, res) => {
+router.post('/login', loginLimiter, antiAbuse('login'), async (req, res) => {
   try {
     // Support both "identifier" and "username/email" for compatibility
     let identifier = req.body.identifier;
@@ -151,6 +206,11 @@ router.post('/login', loginLimiter, async (req, res) => {
     const user = await User.findOne(query);
     
     if (!user) {
+      await logSecurityEvent(req, 'LOGIN_FAILED', {
+        severity: 'medium',
+        metadata: { identifier, reason: 'unknown_user' }
+      });
+
       return res.status(401).json({ 
         error: 'Invalid username/email or password' 
       });
@@ -158,6 +218,12 @@ router.post('/login', loginLimiter, async (req, res) => {
 
     // Check if account is locked
     if (user.isLocked()) {
+      await logSecurityEvent(req, 'LOGIN_FAILED', {
+        userId: user._id,
+        severity: 'medium',
+        metadata: { identifier, reason: 'account_locked' }
+      });
+
       const lockTimeLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
       return res.status(423).json({ 
         error: `Account is locked. Try again in ${lockTimeLeft} minutes.` 
@@ -170,9 +236,21 @@ router.post('/login', loginLimiter, async (req, res) => {
     if (!isMatch) {
       // Increment failed attempts
       await user.incrementLoginAttempts();
+
+      await logSecurityEvent(req, 'LOGIN_FAILED', {
+        userId: user._id,
+        severity: 'medium',
+        metadata: { identifier, reason: 'bad_password', attempts: user.loginAttempts }
+      });
       
       // Check if account is now locked
       if (user.isLocked()) {
+        await logSecurityEvent(req, 'ACCOUNT_LOCKED', {
+          userId: user._id,
+          severity: 'high',
+          metadata: { lockUntil: user.lockUntil }
+        });
+
         return res.status(423).json({ 
           error: 'Too many failed attempts. Account locked for 15 minutes.' 
         });
@@ -184,15 +262,22 @@ router.post('/login', loginLimiter, async (req, res) => {
       });
     }
 
+    // With 2FA on, the password only earns a short-lived challenge token.
+    // Login attempts are reset once the second factor checks out.
+    if (user.twoFactor?.enabled) {
+      return issueTwoFactorChallenge(user, req, res);
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate tokens
+    const { token, refreshToken, expiresIn, sessionId } = await tokenService.issueTokens(user, req);
+
+    await logSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user._id,
+      metadata: { sessionId }
+    });
 
     res.json({
       message: 'Login successful!',
@@ -204,6 +289,10 @@ router.post('/login', loginLimiter, async (req, res) => {
         lastLogin: user.lastLogin
       },
       token,
+      refreshToken,
+      expiresIn,
+      // Suspended users may sign in to read and appeal
+      suspension: user.isSuspended() ? user.getSuspensionDetails() : undefined,
       success: true
     });
 
@@ -216,192 +305,968 @@ router.post('/login', loginLimiter, async (req, res) => {
 });
 
 /* ---------------------------------------------------
-   LOGOUT (client-side token invalidation)
+   LOGOUT (server-side token revocation)
 --------------------------------------------------- */
-router.post('/logout', (req, res) => {
-  // Note: For JWT, logout is typically handled client-side by removing the token
-  // This endpoint can be used for server-side session cleanup if needed
-  res.json({
-    message: 'Logged out successfully. Please clear your token on the client side.',
-    success: true
-  });
+router.post('/logout', authMiddleware.allowWhileSuspended, authMiddleware, async (req, res) => {
+  try {
+    await TokenBlacklist.revokeToken(req.token, 'logout');
+
+    if (req.sessionId) {
+      await tokenService.revokeFamily(req.sessionId, 'logout');
+    }
+
+    if (req.body.refreshToken) {
+      await tokenService.revokeRefreshToken(req.body.refreshToken, 'logout');
+    }
+
+    await logSecurityEvent(req, 'LOGOUT', { metadata: { sessionId: req.sessionId } });
+
+    res.json({
+      message: 'Logged out successfully.',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed. Please try again.' 
+    });
+  }
 });
 
 /* ---------------------------------------------------
-   FORGOT PASSWORD - Request reset
+   REFRESH - Rotate refresh token, issue new access token
 --------------------------------------------------- */
-router.post('/forgot-password', resetLimiter, async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    const { identifier } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!identifier) {
+    if (!refreshToken) {
       return res.status(400).json({ 
-        error: 'Username or Email is required' 
+        error: 'Refresh token is required' 
       });
     }
 
-    // Determine if identifier is email or username
-    let query = {};
-    if (identifier.includes('@')) {
-      query = { email: identifier.toLowerCase().trim() };
-    } else {
-      query = { username: identifier.trim() };
-    }
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, req);
 
-    const user = await User.findOne(query);
-    
+    const user = await User.findById(tokens.userId);
     if (!user) {
-      // Don't reveal that user doesn't exist for security
-      return res.json({ 
-        message: 'If an account exists with this username/email, a reset link will be sent.' 
+      return res.status(401).json({ 
+        error: 'User not found' 
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpiry = Date.now() + 3600000; // 1 hour from now
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      success: true
+    });
 
-    // Save to user
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = resetTokenExpiry;
-    await user.save();
+  } catch (error) {
+    if (error.name === 'RefreshTokenError') {
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        await logSecurityEvent(req, 'REFRESH_TOKEN_REUSE', {
+          userId: error.userId,
+          severity: 'critical'
+        });
+      }
+
+      return res.status(error.status).json({ 
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({ 
+      error: 'Token refresh failed' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   ACTIVE SESSIONS - List and sign out devices
+--------------------------------------------------- */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await tokenService.getActiveSessions(req.user._id);
 
-    // In a real app, you would send an email here
-    // For now, we'll return the token (in production, send via email)
     res.json({
-      message: 'Password reset initiated.',
-      resetToken: resetToken, // In production, remove this line and send email
-      note: `Reset token sent to ${user.email}`, // In production, don't show email
+      sessions: sessions.map(session => ({
+        id: session._id,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.sessionId
+      })),
       success: true
     });
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('List sessions error:', error);
     res.status(500).json({ 
-      error: 'Password reset request failed. Please try again.' 
+      error: 'Failed to fetch sessions' 
+    });
+  }
+});
+
+// Sign out everywhere else (keeps the current session)
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllForUser(
+      req.user._id,
+      'signed_out_remotely',
+      req.sessionId
+    );
+
+    await logSecurityEvent(req, 'SESSIONS_REVOKED', {
+      severity: 'medium',
+      metadata: { revoked, keptSessionId: req.sessionId }
+    });
+
+    res.json({
+      message: 'Signed out of all other sessions.',
+      revoked,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign out other sessions' 
+    });
+  }
+});
+
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        error: 'Invalid session ID' 
+      });
+    }
+
+    const revoked = await tokenService.revokeSession(req.user._id, id);
+
+    if (!revoked) {
+      return res.status(404).json({ 
+        error: 'Session not found' 
+      });
+    }
+
+    await logSecurityEvent(req, 'SESSION_REVOKED', {
+      severity: 'medium',
+      metadata: { sessionId: id }
+    });
+
+    res.json({
+      message: 'Session signed out.',
+      current: id === req.sessionId,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign out session' 
     });
   }
 });
 
 /* ---------------------------------------------------
-   RESET PASSWORD - Complete reset
+   REVOKE TOKEN (own tokens, or any token with revoke_tokens)
 --------------------------------------------------- */
-router.post('/reset-password/:token', resetLimiter, async (req, res) => {
+router.post('/revoke', authMiddleware, async (req, res) => {
   try {
-    const { token } = req.params;
-    const { password } = req.body;
+    const { token, compromised = false } = req.body;
 
-    if (!password || password.length < 6) {
+    if (!token) {
       return res.status(400).json({ 
-        error: 'Password must be at least 6 characters' 
+        error: 'Token is required' 
       });
     }
 
-    // Find user with valid reset token
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() }
-    });
+    const decoded = jwt.decode(token);
 
-    if (!user) {
+    if (!decoded || !decoded.userId) {
       return res.status(400).json({ 
-        error: 'Invalid or expired reset token' 
+        error: 'Invalid token' 
       });
     }
 
-    // Update password
-    user.password = password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-    user.loginAttempts = 0; // Reset login attempts
-    user.lockUntil = undefined; // Unlock account if locked
-    await user.save();
+    const isOwnToken = decoded.userId.toString() === req.user._id.toString();
+    if (!isOwnToken && !hasPermission(req.user, 'revoke_tokens')) {
+      return res.status(403).json({ 
+        error: 'Not authorized to revoke this token' 
+      });
+    }
+
+    await TokenBlacklist.revokeToken(token, compromised ? 'compromised' : 'revoked');
+
+    await logSecurityEvent(req, 'TOKEN_REVOKED', {
+      userId: decoded.userId,
+      severity: compromised ? 'high' : 'medium',
+      metadata: {
+        reason: compromised ? 'compromised' : 'revoked',
+        revokedBy: req.user._id
+      }
+    });
 
     res.json({
-      message: 'Password reset successful! You can now login with your new password.',
+      message: 'Token revoked successfully.',
       success: true
     });
 
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Token revoke error:', error);
     res.status(500).json({ 
-      error: 'Password reset failed. Please try again.' 
+      error: 'Failed to revoke token' 
     });
   }
 });
 
 /* ---------------------------------------------------
-   VERIFY TOKEN/ME - Get current user info
+   LOGIN - Second step for accounts with 2FA
 --------------------------------------------------- */
-router.get('/me', async (req, res) => {
+router.post('/login/2fa', loginLimiter, async (req, res) => {
   try {
-    // Get token from header OR query parameter
-    let token = req.headers.authorization?.split(' ')[1];
-    
-    // If not in header, check query parameter
-    if (!token && req.query.token) {
-      token = req.query.token;
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        error: 'Challenge token and a code are required' 
+      });
     }
-    
-    if (!token) {
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
       return res.status(401).json({ 
-        error: 'No token provided' 
+        error: 'Login challenge expired. Please login again.' 
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await User.findById(decoded.userId).select('-password -resetPasswordToken -resetPasswordExpires');
-    
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found' 
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({ 
+        error: 'Invalid login challenge' 
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ 
+        error: 'Invalid login challenge' 
+      });
+    }
+
+    if (user.isLocked()) {
+      const lockTimeLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      return res.status(423).json({ 
+        error: `Account is locked. Try again in ${lockTimeLeft} minutes.` 
+      });
+    }
+
+    const verified = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!verified) {
+      await user.incrementLoginAttempts();
+
+      await logSecurityEvent(req, 'LOGIN_FAILED', {
+        userId: user._id,
+        severity: 'medium',
+        metadata: { reason: 'bad_2fa_code', attempts: user.loginAttempts }
+      });
+
+      if (user.isLocked()) {
+        await logSecurityEvent(req, 'ACCOUNT_LOCKED', {
+          userId: user._id,
+          severity: 'high',
+          metadata: { lockUntil: user.lockUntil }
+        });
+
+        return res.status(423).json({ 
+          error: 'Too many failed attempts. Account locked for 15 minutes.' 
+        });
+      }
+
+      return res.status(401).json({ 
+        error: 'Invalid authentication code' 
       });
     }
 
+    // Persists the consumed recovery code / last used step as well
+    await user.resetLoginAttempts();
+
+    const { token, refreshToken, expiresIn, sessionId } = await tokenService.issueTokens(user, req);
+
+    await logSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user._id,
+      severity: recoveryCode ? 'medium' : 'low',
+      metadata: { sessionId, twoFactor: recoveryCode ? 'recovery_code' : 'totp' }
+    });
+
     res.json({
+      message: 'Login successful!',
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        bio: user.bio,
-        socialLinks: user.socialLinks || [],
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin,
-        karma: user.karma || 0
+        karma: user.karma || 0,
+        lastLogin: user.lastLogin
       },
+      token,
+      refreshToken,
+      expiresIn,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      suspension: user.isSuspended() ? user.getSuspensionDetails() : undefined,
       success: true
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token' 
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired' 
-      });
-    }
-    
+    console.error('2FA login error:', error);
     res.status(500).json({ 
-      error: 'Authentication failed' 
+      error: 'Login failed. Please try again.' 
     });
   }
 });
 
 /* ---------------------------------------------------
-   UPDATE USER PROFILE (with social links and bio)
+   TWO-FACTOR AUTHENTICATION - Enrolment
 --------------------------------------------------- */
-router.put('/profile', authMiddleware, async (req, res) => {
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const { password, confirmationToken } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    // Social-only accounts have no password; they confirm through a link
+    // emailed to their address, then repeat this request with its token
+    if (user.hasPassword === false) {
+      if (!confirmationToken) {
+        await sendActionConfirmation(user, 'two_factor');
+        return res.status(202).json({ 
+          message: 'We sent a confirmation link to your email address.',
+          confirmationRequired: true,
+          success: true
+        });
+      }
+
+      if (!isValidActionConfirmation(confirmationToken, user, 'two_factor')) {
+        return res.status(401).json({ 
+          error: 'Invalid or expired confirmation link',
+          code: 'TWO_FACTOR_CONFIRMATION_INVALID'
+        });
+      }
+    } else if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ 
+        error: 'Password is incorrect' 
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code.',
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email),
+      success: true
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup' 
+    });
+  }
+});
+
+// Confirm enrolment with a first code; returns recovery codes once
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ 
+        error: 'Start two-factor setup first' 
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ 
+        error: 'Invalid authentication code' 
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await logSecurityEvent(req, 'TWO_FACTOR_ENABLED', { severity: 'medium' });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to enable two-factor authentication' 
+    });
+  }
+});
+
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ 
+        error: 'Password is incorrect' 
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ 
+        error: 'Invalid authentication code' 
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logSecurityEvent(req, 'TWO_FACTOR_DISABLED', { severity: 'high' });
+
+    res.json({
+      message: 'Two-factor authentication disabled.',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication' 
+    });
+  }
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({ 
+        error: 'Invalid authentication code' 
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    await logSecurityEvent(req, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', { severity: 'medium' });
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate recovery codes' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   EMAIL VERIFICATION
+--------------------------------------------------- */
+router.get('/verify/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification link',
+        code: 'VERIFICATION_LINK_INVALID'
+      });
+    }
+
+    if (decoded.purpose !== 'verify_email') {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification link',
+        code: 'VERIFICATION_LINK_INVALID'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // Links sent to a previous address stop working after an email change
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification link',
+        code: 'VERIFICATION_LINK_INVALID'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+
+      await logSecurityEvent(req, 'EMAIL_VERIFIED', { userId: user._id });
+    }
+
+    res.json({
+      message: 'Email verified successfully.',
+      emailVerified: true,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ 
+      error: 'Email verification failed. Please try again.' 
+    });
+  }
+});
+
+router.post('/verify/resend', verifyLimiter, authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ 
+        error: 'Email is already verified' 
+      });
+    }
+
+    const sent = await sendVerificationEmail(req.user, { resend: true });
+
+    if (!sent) {
+      return res.status(502).json({ 
+        error: 'Could not send verification email. Please try again later.' 
+      });
+    }
+
+    res.json({
+      message: `Verification email sent to ${req.user.email}.`,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      error: 'Failed to resend verification email' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   FORGOT PASSWORD - Request reset
+--------------------------------------------------- */
+router.post('/forgot-password', resetLimiter, async (req, res) => {
+  try {
+    const { identifier } = req.body;
+
+    if (!identifier) {
+      return res.status(400).json({ 
+        error: 'Username or Email is required' 
+      });
+    }
+
+    // Determine if identifier is email or username
+    let query = {};
+    if (identifier.includes('@')) {
+      query = { email: identifier.toLowerCase().trim() };
+    } else {
+      query = { username: identifier.trim() };
+    }
+
+    const user = await User.findOne(query);
+
+    // Same response whether or not the account exists
+    const response = {
+      message: 'If an account exists with this username/email, a reset link will be sent.',
+      success: true
+    };
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Generate reset token; only its hash is stored
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenExpiry = Date.now() + 3600000; // 1 hour from now
+
+    user.resetPasswordToken = hashEmailToken(resetToken);
+    user.resetPasswordExpires = resetTokenExpiry;
+    await user.save();
+
+    await logSecurityEvent(req, 'PASSWORD_RESET_REQUESTED', { userId: user._id });
+
+    const resetLink = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+
+    // Not awaited, so response time doesn't reveal whether the account exists
+    sendEmail(
+      user.email,
+      'Reset your password',
+      emailTemplates.passwordResetEmail(user.username, resetLink)
+    ).catch(error => console.error('Password reset email error:', error));
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      error: 'Password reset request failed. Please try again.' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   RESET PASSWORD - Complete reset
+--------------------------------------------------- */
+router.post('/reset-password/:token', resetLimiter, async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ 
+        error: 'Password is required' 
+      });
+    }
+
+    const tokenQuery = {
+      resetPasswordToken: hashEmailToken(token),
+      resetPasswordExpires: { $gt: Date.now() }
+    };
+
+    // Look the account up first so the policy can check the password
+    // against its username and email without spending the link
+    const pendingUser = await User.findOne(tokenQuery).select('username email');
+    if (!pendingUser) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired reset token' 
+      });
+    }
+
+    const passwordCheck = evaluatePassword(password, {
+      username: pendingUser.username,
+      email: pendingUser.email
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyErrorResponse(passwordCheck));
+    }
+
+    // Claim the token atomically so the link can only be used once
+    const user = await User.findOneAndUpdate(
+      tokenQuery,
+      { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired reset token' 
+      });
+    }
+
+    // Update password
+    user.password = password;
+    user.loginAttempts = 0; // Reset login attempts
+    user.lockUntil = undefined; // Unlock account if locked
+    await user.save();
+
+    // Invalidate every outstanding session; access tokens issued before
+    // the change are already rejected via passwordChangedAt
+    await tokenService.revokeAllForUser(user._id, 'password_change');
+
+    await logSecurityEvent(req, 'PASSWORD_RESET', {
+      userId: user._id,
+      severity: 'medium'
+    });
+
+    res.json({
+      message: 'Password reset successful! You can now login with your new password.',
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Password reset failed. Please try again.' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   MAGIC LINK - Passwordless sign-in by email
+--------------------------------------------------- */
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15;
+
+router.post('/magic-link', magicLinkLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+
+    // Same response whether or not the account exists
+    const response = {
+      message: 'If an account exists with this email, a sign-in link will be sent.',
+      success: true
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    // A new link replaces any earlier one; only its hash is stored
+    const loginToken = crypto.randomBytes(32).toString('hex');
+    user.magicLinkToken = hashEmailToken(loginToken);
+    user.magicLinkExpires = Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000;
+    await user.save();
+
+    await logSecurityEvent(req, 'MAGIC_LINK_REQUESTED', { userId: user._id });
+
+    // The link opens the frontend, which calls GET /magic-link/:token, so
+    // mail scanners that prefetch links can't burn the token
+    const loginLink = `${process.env.FRONTEND_URL}/magic-link/${loginToken}`;
+
+    // Not awaited, so response time doesn't reveal whether the account exists
+    sendEmail(
+      user.email,
+      'Your sign-in link',
+      emailTemplates.magicLinkEmail(user.username, loginLink, MAGIC_LINK_TTL_MINUTES)
+    ).catch(error => console.error('Magic link email error:', error));
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send sign-in link. Please try again.' 
+    });
+  }
+});
+
+router.get('/magic-link/:token', magicLinkLimiter, async (req, res) => {
+  try {
+    // Claim the token atomically so the link can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashEmailToken(req.params.token),
+        magicLinkExpires: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      await logSecurityEvent(req, 'MAGIC_LINK_INVALID', { severity: 'medium' });
+      return res.status(400).json({ 
+        error: 'Invalid or expired sign-in link' 
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({ 
+        error: 'Account is temporarily locked. Please try again later.' 
+      });
+    }
+
+    // Following the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    // The link stands in for the password, not for the second factor
+    if (user.twoFactor?.enabled) {
+      return issueTwoFactorChallenge(user, req, res, { metadata: { method: 'magic_link' } });
+    }
+
+    await user.resetLoginAttempts();
+
+    const { token, refreshToken, expiresIn, sessionId } = await tokenService.issueTokens(user, req);
+
+    await logSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user._id,
+      metadata: { sessionId, method: 'magic_link' }
+    });
+
+    res.json({
+      message: 'Login successful!',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        karma: user.karma || 0,
+        lastLogin: user.lastLogin
+      },
+      token,
+      refreshToken,
+      expiresIn,
+      suspension: user.isSuspended() ? user.getSuspensionDetails() : undefined,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({ 
+      error: 'Sign-in failed. Please try again.' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   VERIFY TOKEN/ME - Get current user info
+--------------------------------------------------- */
+router.get('/me', async (req, res) => {
+  try {
+    // Get token from header OR query parameter
+    let token = req.headers.authorization?.split(' ')[1];
+    
+    // If not in header, check query parameter
+    if (!token && req.query.token) {
+      token = req.query.token;
+    }
+    
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'No token provided' 
+      });
+    }
+
+    // Verify token
+    const decoded = await authMiddleware.verifyToken(token);
+    
+    // Find user
+    const user = await User.findById(decoded.userId).select('-password -resetPasswordToken -resetPasswordExpires');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        error: 'Password was changed. Please login again.' 
+      });
+    }
+
+    if (decoded.sid && !(await tokenService.touchSession(decoded.sid, req))) {
+      return res.status(401).json({ 
+        error: 'Session has been signed out. Please login again.' 
+      });
+    }
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        bio: user.bio,
+        socialLinks: user.socialLinks || [],
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+        emailVerified: user.emailVerified,
+        karma: user.karma || 0
+      },
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ 
+        error: 'Invalid token' 
+      });
+    }
+    
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        error: 'Token expired' 
+      });
+    }
+
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({ 
+        error: 'Token has been revoked' 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Authentication failed' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   UPDATE USER PROFILE (with social links and bio)
+--------------------------------------------------- */
+router.put('/profile', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user._id;
     const { bio, socialLinks } = req.body;
 
     // Validate socialLinks if provided
@@ -493,51 +1358,165 @@ router.put('/profile', authMiddleware, async (req, res) => {
         error: error.message 
       });
     }
-    
+    
+    res.status(500).json({ 
+      error: 'Profile update failed. Please try again.' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   GET USER PROFILE BY USERNAME
+--------------------------------------------------- */
+router.get('/profile/:username', async (req, res) => {
+  try {
+    const { username } = req.params;
+    
+    if (!username) {
+      return res.status(400).json({ 
+        error: 'Username is required' 
+      });
+    }
+
+    // Old handles resolve to the account that used them
+    const { user, resolvedFrom } = await usernameService.findUserByHandle(
+      username,
+      '-password -resetPasswordToken -resetPasswordExpires -email -loginAttempts -lockUntil'
+    );
+
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        bio: user.bio,
+        socialLinks: user.socialLinks || [],
+        createdAt: user.createdAt,
+        karma: user.karma || 0,
+        followerCount: user.followerCount || 0,
+        followingCount: user.following?.length || 0
+      },
+      resolvedFrom: resolvedFrom || undefined,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch user profile' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   FOLLOW USERS (their posts appear in the home feed)
+--------------------------------------------------- */
+router.post('/follow/:username', authMiddleware, async (req, res) => {
+  try {
+    const { user: target } = await usernameService.findUserByHandle(req.params.username, '_id username');
+
+    if (!target) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+
+    if (target._id.equals(req.user._id)) {
+      return res.status(400).json({ 
+        error: 'You cannot follow yourself' 
+      });
+    }
+
+    // Only count the follow if it wasn't already there
+    const result = await User.updateOne(
+      { _id: req.user._id, following: { $ne: target._id } },
+      { $addToSet: { following: target._id } }
+    );
+
+    if (result.modifiedCount) {
+      await User.updateOne({ _id: target._id }, { $inc: { followerCount: 1 } });
+
+      // Deduped: a refollow doesn't notify again or trip the unique index
+      await NotificationService.createFollowerNotification(
+        req.user._id,
+        req.user.username,
+        target._id,
+        `/user/${req.user.username}`
+      );
+    }
+
+    res.json({
+      success: true,
+      following: true,
+      username: target.username
+    });
+  } catch (error) {
+    console.error('Follow error:', error);
     res.status(500).json({ 
-      error: 'Profile update failed. Please try again.' 
+      error: 'Failed to follow user' 
     });
   }
 });
 
-/* ---------------------------------------------------
-   GET USER PROFILE BY USERNAME
---------------------------------------------------- */
-router.get('/profile/:username', async (req, res) => {
+router.delete('/follow/:username', authMiddleware, async (req, res) => {
   try {
-    const { username } = req.params;
-    
-    if (!username) {
-      return res.status(400).json({ 
-        error: 'Username is required' 
-      });
-    }
+    const { user: target } = await usernameService.findUserByHandle(req.params.username, '_id username');
 
-    const user = await User.findOne({ username })
-      .select('-password -resetPasswordToken -resetPasswordExpires -email -loginAttempts -lockUntil');
-
-    if (!user) {
+    if (!target) {
       return res.status(404).json({ 
         error: 'User not found' 
       });
     }
 
+    const result = await User.updateOne(
+      { _id: req.user._id, following: target._id },
+      { $pull: { following: target._id } }
+    );
+
+    if (result.modifiedCount) {
+      await User.updateOne(
+        { _id: target._id, followerCount: { $gt: 0 } },
+        { $inc: { followerCount: -1 } }
+      );
+    }
+
     res.json({
-      user: {
-        id: user._id,
-        username: user.username,
-        bio: user.bio,
-        socialLinks: user.socialLinks || [],
-        createdAt: user.createdAt,
-        karma: user.karma || 0
-      },
-      success: true
+      success: true,
+      following: false,
+      username: target.username
+    });
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unfollow user' 
     });
+  }
+});
+
+router.get('/following', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('following')
+      .populate('following', 'username karma bio');
 
+    res.json({
+      success: true,
+      following: (user.following || []).map(followed => ({
+        id: followed._id,
+        username: followed.username,
+        karma: followed.karma || 0,
+        bio: followed.bio
+      }))
+    });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Get following error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch user profile' 
+      error: 'Failed to fetch followed users' 
     });
   }
 });
@@ -556,6 +1535,7 @@ router.put('/update', authMiddleware, async (req, res) => {
     }
 
     const { username, email, currentPassword, newPassword } = req.body;
+    let previousUsername = null;
 
     // Update username if provided and different
     if (username && username !== user.username) {
@@ -573,7 +1553,18 @@ router.put('/update', authMiddleware, async (req, res) => {
           error: 'Username not allowed' 
         });
       }
+
+      // Cooldown between changes, and names recently released by others
+      const usernameChange = await usernameService.checkUsernameChange(user, username);
+      if (!usernameChange.allowed) {
+        return res.status(usernameChange.status).json({ 
+          error: usernameChange.error,
+          code: usernameChange.code,
+          nextChangeAt: usernameChange.nextChangeAt
+        });
+      }
       
+      previousUsername = user.username;
       user.username = username;
     }
 
@@ -595,6 +1586,7 @@ router.put('/update', authMiddleware, async (req, res) => {
       }
       
       user.email = email;
+      user.emailVerified = false;
     }
 
     // Update password if requested
@@ -612,23 +1604,55 @@ router.put('/update', authMiddleware, async (req, res) => {
         });
       }
 
-      if (newPassword.length < 6) {
-        return res.status(400).json({ 
-          error: 'New password must be at least 6 characters' 
-        });
+      // Checked against the username/email as they will be after this update
+      const passwordCheck = evaluatePassword(newPassword, {
+        username: user.username,
+        email: user.email
+      });
+      if (!passwordCheck.valid) {
+        return res.status(400).json(policyErrorResponse(passwordCheck));
       }
 
       user.password = newPassword;
     }
 
+    const emailChanged = user.isModified('email');
+
     await user.save();
 
-    // Generate new token if credentials changed
-    const newToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (emailChanged) {
+      await logSecurityEvent(req, 'EMAIL_CHANGED', { severity: 'medium' });
+      await sendVerificationEmail(user);
+    }
+
+    if (previousUsername) {
+      await usernameService.recordUsernameChange(user, previousUsername);
+      await logSecurityEvent(req, 'USERNAME_CHANGED', {
+        metadata: { from: previousUsername, to: user.username }
+      });
+
+      // Names on old posts and comments update now; the scheduled
+      // backfill marks the history entry and retries anything missed
+      setImmediate(() => {
+        backfillUser(user._id)
+          .catch(error => console.error('Username backfill error:', error));
+      });
+    }
+
+    // The old token predates the password change, so blacklist it and
+    // sign out every other device before issuing a fresh pair
+    let newToken;
+    let refreshToken;
+    if (newPassword) {
+      await TokenBlacklist.revokeToken(req.token, 'password_change');
+      await tokenService.revokeAllForUser(user._id, 'password_change');
+      ({ token: newToken, refreshToken } = await tokenService.issueTokens(user, req));
+
+      await logSecurityEvent(req, 'PASSWORD_CHANGED', { severity: 'medium' });
+    } else {
+      // Generate new token for the current session
+      newToken = tokenService.signAccessToken(user, req.sessionId);
+    }
 
     res.json({
       message: 'Profile updated successfully',
@@ -638,427 +1662,607 @@ router.put('/update', authMiddleware, async (req, res) => {
         email: user.email,
         bio: user.bio,
         socialLinks: user.socialLinks || [],
+        emailVerified: user.emailVerified,
         karma: user.karma || 0
       },
       token: newToken,
+      refreshToken,
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ 
+        error: 'Invalid token' 
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Profile update failed' 
+    });
+  }
+});
+
+/* ---------------------------------------------------
+   SOCIAL LOGIN (provider registry)
+--------------------------------------------------- */
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const redirectLoginError = (res, error) => (
+  res.redirect(`${frontendUrl()}/login?error=${encodeURIComponent(error)}`)
+);
+
+// Tokens travel in the hash so they never reach server logs or Referer
+const redirectAuthCallback = (res, params) => (
+  res.redirect(`${frontendUrl()}/auth/callback#${new URLSearchParams(params)}`)
+);
+
+router.get('/providers', (req, res) => {
+  res.json({ providers: oauthService.listProviders() });
+});
+
+// Redirect to the provider with a signed, expiring state bound to this
+// browser by cookie, plus a PKCE challenge where the provider supports it
+const startSocialLogin = (providerName) => async (req, res) => {
+  try {
+    const provider = oauthService.getProvider(providerName);
+
+    if (!oauthService.isConfigured(provider)) {
+      return res.status(501).json({ 
+        error: `${provider.label} OAuth not configured`,
+        message: provider.envPrefix
+          ? `Please set ${provider.envPrefix}_CLIENT_ID and ${provider.envPrefix}_CLIENT_SECRET in environment variables`
+          : `Please set clientId and clientSecret for "${provider.name}" in OAUTH_OIDC_PROVIDERS`
+      });
+    }
+
+    const { state, codeChallenge } = oauthService.createState(res, provider);
+    res.redirect(await oauthService.buildAuthorizeUrl(provider, { state, codeChallenge }));
+  } catch (error) {
+    console.error(`${providerName} OAuth start error:`, error);
+    redirectLoginError(res, 'social_auth_failed');
+  }
+};
+
+const handleSocialCallback = (providerName) => async (req, res) => {
+  try {
+    const { code, error } = req.query;
+    
+    if (error) {
+      console.error(`${providerName} OAuth error:`, error);
+      return redirectLoginError(res, error);
+    }
+    
+    if (!code) {
+      return res.status(400).json({ error: 'No authorization code received' });
+    }
+    
+    const provider = oauthService.getProvider(providerName);
+    if (!oauthService.isConfigured(provider)) {
+      console.error(`${provider.label} OAuth not configured`);
+      return redirectLoginError(res, `${providerName}_not_configured`);
+    }
+
+    // Reject callbacks that didn't start in this browser
+    const oauthState = oauthService.verifyState(req, res, provider);
+    if (!oauthState) {
+      await logSecurityEvent(req, 'OAUTH_STATE_MISMATCH', {
+        severity: 'high',
+        metadata: { provider: providerName }
+      });
+      return redirectLoginError(res, 'invalid_state');
+    }
+
+    // Linking flows are started by a signed-in user and report back to settings
+    const { linkUserId } = oauthState;
+    const redirectError = (reason) => (linkUserId
+      ? res.redirect(`${frontendUrl()}/settings?linkError=${encodeURIComponent(reason)}`)
+      : redirectLoginError(res, reason));
+    
+    // Exchange code for access token
+    const tokenData = await oauthService.exchangeCode(provider, {
+      code,
+      codeVerifier: oauthState.codeVerifier
+    });
+    
+    if (!tokenData.access_token) {
+      console.error(`No access token received from ${provider.label}:`, tokenData);
+      return redirectError(`${providerName}_token_failed`);
+    }
+    
+    const profile = await oauthService.fetchProfile(provider, tokenData.access_token);
+    
+    if (!profile.id) {
+      console.error(`Invalid user info from ${provider.label}:`, profile.raw);
+      return redirectError(`${providerName}_user_failed`);
+    }
+
+    if (linkUserId) {
+      const linkUser = await User.findById(linkUserId);
+
+      // The password may have changed (and sessions been revoked) mid-flow
+      if (!linkUser || linkUser.changedPasswordAfter(oauthState.iat)) {
+        return redirectError('link_session_expired');
+      }
+
+      try {
+        await socialAccountService.linkToUser(linkUser, provider, profile);
+      } catch (accountError) {
+        if (accountError instanceof socialAccountService.SocialAccountError) {
+          return redirectError(accountError.code.toLowerCase());
+        }
+        throw accountError;
+      }
+
+      await logSecurityEvent(req, 'OAUTH_LINKED', {
+        userId: linkUser._id,
+        severity: 'medium',
+        metadata: { provider: providerName, via: 'account_settings' }
+      });
+
+      return res.redirect(`${frontendUrl()}/settings?linked=${encodeURIComponent(providerName)}`);
+    }
+
+    let result;
+    try {
+      result = await socialAccountService.findOrCreateUser(provider, profile);
+    } catch (accountError) {
+      if (accountError instanceof socialAccountService.SocialAccountError) {
+        return redirectError(accountError.code.toLowerCase());
+      }
+      throw accountError;
+    }
+
+    const { user, created, linked } = result;
+
+    if (linked) {
+      await logSecurityEvent(req, 'OAUTH_LINKED', {
+        userId: user._id,
+        severity: 'medium',
+        metadata: { provider: providerName, via: 'email_match' }
+      });
+    }
+
+    if (created) {
+      console.log(`New user created via ${provider.label}:`, user.username);
+    }
+
+    // The provider stands in for the password, not for the second factor
+    if (user.twoFactor?.enabled) {
+      return issueTwoFactorChallenge(user, req, res, {
+        metadata: { provider: providerName },
+        redirect: true
+      });
+    }
+    
+    const { token, refreshToken, sessionId } = await tokenService.issueTokens(user, req);
+
+    await logSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user._id,
+      metadata: { sessionId, provider: providerName }
+    });
+    
+    redirectAuthCallback(res, {
+      token,
+      refreshToken,
+      user: JSON.stringify({
+        id: user._id,
+        username: user.username,
+        email: user.email
+      }),
+      provider: providerName
+    });
+    
+  } catch (error) {
+    console.error(`${providerName} OAuth callback error:`, error);
+    redirectLoginError(res, 'social_auth_failed');
+  }
+};
+
+// Routes come from the registry, so adding a provider is configuration only
+for (const providerName of oauthService.providerNames()) {
+  router.get(`/${providerName}`, startSocialLogin(providerName));
+  router.get(`/${providerName}/callback`, handleSocialCallback(providerName));
+}
+
+/* ---------------------------------------------------
+   LINK/UNLINK SOCIAL ACCOUNTS
+--------------------------------------------------- */
+router.get('/identities', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const identities = socialAccountService.listIdentities(user);
+    const linked = identities.map(identity => identity.provider);
+
+    res.json({
+      identities,
+      hasPassword: user.hasPassword !== false,
+      available: oauthService.listProviders()
+        .filter(provider => !linked.includes(provider.name))
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ error: 'Failed to load linked accounts' });
+  }
+});
+
+// Linking only happens through a completed OAuth round trip: this hands the
+// client an authorize URL whose signed state names the signed-in user, and
+// the provider callback attaches the identity it actually authenticated.
+router.post('/link/:provider', authMiddleware, async (req, res) => {
+  try {
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(400).json({ error: 'Unknown provider' });
+    }
+
+    if (!oauthService.isConfigured(provider)) {
+      return res.status(501).json({ error: `${provider.label} OAuth not configured` });
+    }
+
+    const { state, codeChallenge } = oauthService.createState(res, provider, {
+      linkUserId: req.user._id.toString()
+    });
+
+    res.json({
+      success: true,
+      url: await oauthService.buildAuthorizeUrl(provider, { state, codeChallenge })
+    });
+  } catch (error) {
+    console.error('Link account error:', error);
+    res.status(500).json({ error: 'Failed to link account' });
+  }
+});
+
+router.post('/unlink/:provider', authMiddleware, async (req, res) => {
+  try {
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(400).json({ error: 'Unknown provider' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!socialAccountService.hasIdentity(user, provider)) {
+      return res.status(404).json({ error: `No ${provider.label} account is linked` });
+    }
+
+    if (socialAccountService.countLoginMethods(user) <= 1) {
+      return res.status(400).json({
+        error: 'Set a password or link another account before unlinking your only sign-in method',
+        code: 'LAST_LOGIN_METHOD'
+      });
+    }
+
+    socialAccountService.detachIdentity(user, provider);
+    await user.save();
+
+    await logSecurityEvent(req, 'OAUTH_UNLINKED', {
+      severity: 'medium',
+      metadata: { provider: provider.name }
+    });
+    
+    res.json({ success: true, message: `${provider.label} account unlinked` });
+  } catch (error) {
+    console.error('Unlink account error:', error);
+    res.status(500).json({ error: 'Failed to unlink account' });
+  }
+});
+
+/* ---------------------------------------------------
+   PASSWORD STRENGTH - Live feedback for password fields
+--------------------------------------------------- */
+router.post('/password-strength', (req, res) => {
+  const { password, username, email } = req.body;
+
+  if (typeof password !== 'string') {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+
+  const { valid, score, rules } = evaluatePassword(password, { username, email });
+
+  res.json({
+    valid,
+    score,
+    rules: rules.map(({ rule, passed, message }) => ({ rule, passed, message }))
+  });
+});
+
+/* ---------------------------------------------------
+   ACCOUNT DELETION - Scheduled, cancellable during grace period
+--------------------------------------------------- */
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+router.delete('/account', authMiddleware.allowWhileSuspended, authMiddleware, async (req, res) => {
+  try {
+    const { password, confirmationToken, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({ 
+        error: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    // Social-only accounts have no password; they confirm through a link
+    // emailed to their address, then repeat this request with its token
+    if (user.hasPassword === false) {
+      if (!confirmationToken) {
+        await sendActionConfirmation(user, 'deletion');
+        return res.status(202).json({ 
+          message: 'We sent a confirmation link to your email address.',
+          confirmationRequired: true,
+          success: true
+        });
+      }
+
+      if (!isValidActionConfirmation(confirmationToken, user, 'deletion')) {
+        return res.status(401).json({ 
+          error: 'Invalid or expired confirmation link',
+          code: 'DELETION_CONFIRMATION_INVALID'
+        });
+      }
+    } else if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ 
+        error: 'Password is incorrect' 
+      });
+    }
+
+    if (user.twoFactor?.enabled && !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ 
+        error: 'Invalid authentication code',
+        twoFactorRequired: true
+      });
+    }
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.deletion = { requestedAt, scheduledFor };
+    await user.save();
+
+    await logSecurityEvent(req, 'ACCOUNT_DELETION_REQUESTED', {
+      severity: 'high',
+      metadata: { scheduledFor }
+    });
+
+    sendEmail(
+      user.email,
+      'Your account is scheduled for deletion',
+      emailTemplates.accountDeletionEmail(user.username, scheduledFor, `${process.env.FRONTEND_URL}/settings`)
+    ).catch(error => console.error('Account deletion email error:', error));
+
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.toUTCString()}. You can cancel until then.`,
+      scheduledFor,
       success: true
     });
 
   } catch (error) {
-    console.error('Profile update error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token' 
-      });
-    }
-    
+    console.error('Account deletion error:', error);
     res.status(500).json({ 
-      error: 'Profile update failed' 
+      error: 'Failed to schedule account deletion' 
     });
   }
 });
 
-/* ---------------------------------------------------
-   SOCIAL LOGIN INITIATION - GOOGLE
---------------------------------------------------- */
-router.get('/google', (req, res) => {
-  // Check if Google OAuth is configured
-  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CALLBACK_URL) {
-    return res.status(501).json({ 
-      error: 'Google OAuth not configured',
-      message: 'Please set GOOGLE_CLIENT_ID and GOOGLE_CALLBACK_URL in environment variables'
+router.post('/account/cancel-deletion', authMiddleware.allowWhileSuspended, authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'deletion.scheduledFor': { $gt: new Date() } },
+      { $unset: { deletion: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'No account deletion is pending' 
+      });
+    }
+
+    await logSecurityEvent(req, 'ACCOUNT_DELETION_CANCELLED', { severity: 'medium' });
+
+    res.json({
+      message: 'Account deletion cancelled.',
+      success: true
     });
-  }
-  
-  console.log('Initiating Google OAuth flow...');
-  console.log('Callback URL:', process.env.GOOGLE_CALLBACK_URL);
-  
-  // Redirect to Google OAuth
-  const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?${new URLSearchParams({
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    redirect_uri: process.env.GOOGLE_CALLBACK_URL,
-    response_type: 'code',
-    scope: 'profile email',
-    access_type: 'offline',
-    prompt: 'consent'
-  })}`;
-  
-  res.redirect(authUrl);
-});
 
-/* ---------------------------------------------------
-   SOCIAL LOGIN INITIATION - GITHUB
---------------------------------------------------- */
-router.get('/github', (req, res) => {
-  if (!process.env.GITHUB_CLIENT_ID) {
-    return res.status(501).json({ 
-      error: 'GitHub OAuth not configured',
-      message: 'Please set GITHUB_CLIENT_ID in environment variables'
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel account deletion' 
     });
   }
-  
-  const authUrl = `https://github.com/login/oauth/authorize?${new URLSearchParams({
-    client_id: process.env.GITHUB_CLIENT_ID,
-    redirect_uri: `${process.env.API_URL || 'https://whitepage-backend.onrender.com'}/api/auth/github/callback`,
-    scope: 'user:email'
-  })}`;
-  
-  res.redirect(authUrl);
 });
 
 /* ---------------------------------------------------
-   SOCIAL LOGIN INITIATION - FACEBOOK
+   DATA EXPORT - Personal data archive, built in the background
 --------------------------------------------------- */
-router.get('/facebook', (req, res) => {
-  const authUrl = `https://www.facebook.com/v17.0/dialog/oauth?${new URLSearchParams({
-    client_id: process.env.FACEBOOK_CLIENT_ID,
-    redirect_uri: process.env.FACEBOOK_CALLBACK_URL,
-    scope: 'email',
-    state: crypto.randomBytes(16).toString('hex')
-  })}`;
-  res.redirect(authUrl);
+const EXPORT_COOLDOWN_HOURS = parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS, 10) || 24;
+
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.isDownloadable()
+    ? `/api/auth/export/${dataExport._id}/download`
+    : undefined
 });
 
-/* ---------------------------------------------------
-   GOOGLE CALLBACK
---------------------------------------------------- */
-router.get('/google/callback', async (req, res) => {
+router.post('/export', authMiddleware.allowWhileSuspended, authMiddleware, async (req, res) => {
   try {
-    const { code, error } = req.query;
-    
-    if (error) {
-      console.error('Google OAuth error:', error);
-      return res.redirect(`${process.env.FRONTEND_URL}/login?error=${error}`);
-    }
-    
-    if (!code) {
-      return res.status(400).json({ error: 'No authorization code received' });
-    }
-    
-    console.log('Google OAuth callback received, exchanging code for token...');
-    
-    // Exchange code for access token
-    const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        client_id: process.env.GOOGLE_CLIENT_ID,
-        client_secret: process.env.GOOGLE_CLIENT_SECRET,
-        code: code,
-        redirect_uri: process.env.GOOGLE_CALLBACK_URL,
-        grant_type: 'authorization_code'
-      })
-    });
-    
-    const tokenData = await tokenResponse.json();
-    
-    if (!tokenData.access_token) {
-      console.error('No access token received from Google:', tokenData);
-      return res.redirect(`${process.env.FRONTEND_URL}/login?error=google_token_failed`);
-    }
-    
-    console.log('Access token received, fetching user info...');
-    
-    // Get user info from Google
-    const userResponse = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`
-      }
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
     });
-    
-    const userInfo = await userResponse.json();
-    
-    if (!userInfo.id) {
-      console.error('Invalid user info from Google:', userInfo);
-      return res.redirect(`${process.env.FRONTEND_URL}/login?error=google_user_failed`);
+
+    if (inProgress) {
+      return res.status(409).json({ 
+        error: 'An export is already being prepared',
+        export: formatExport(inProgress)
+      });
     }
-    
-    console.log('Google user info received:', userInfo.email);
-    
-    // Find or create user in your database
-    let user = await User.findOne({ 
-      $or: [
-        { googleId: userInfo.id },
-        { email: userInfo.email }
-      ]
+
+    const recent = await DataExport.findOne({
+      user: req.user._id,
+      status: 'ready',
+      createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000) }
     });
-    
-    if (!user) {
-      // Create new user
-      console.log('Creating new user for Google ID:', userInfo.id);
-      
-      // Generate a username from Google name
-      let username = userInfo.name?.replace(/\s+/g, '_').toLowerCase() || 
-                    userInfo.email.split('@')[0];
-      
-      // Ensure unique username
-      let usernameExists = await User.findOne({ username });
-      let counter = 1;
-      while (usernameExists) {
-        username = `${userInfo.email.split('@')[0]}_${counter}`;
-        usernameExists = await User.findOne({ username });
-        counter++;
-      }
-      
-      user = new User({
-        googleId: userInfo.id,
-        email: userInfo.email,
-        emailVerified: userInfo.verified_email || false,
-        username: username,
-        profilePicture: userInfo.picture,
-        password: crypto.randomBytes(16).toString('hex') // Random password for social login
+
+    if (recent) {
+      return res.status(429).json({ 
+        error: `You can request one export every ${EXPORT_COOLDOWN_HOURS} hours`,
+        export: formatExport(recent)
       });
-      
-      await user.save();
-      console.log('New user created:', user.username);
-      
-    } else if (!user.googleId) {
-      // Link Google account to existing user
-      user.googleId = userInfo.id;
-      await user.save();
-      console.log('Google account linked to existing user:', user.username);
     }
-    
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    console.log('JWT token generated, redirecting to frontend...');
-    
-    // Create user data object for redirect
-    const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email
-    };
-    
-    // Use hash instead of query params for security
-    const encodedUserData = encodeURIComponent(JSON.stringify(userData));
-    res.redirect(
-      `${process.env.FRONTEND_URL}/auth/callback#token=${token}&user=${encodedUserData}&provider=google`
-    );
-    
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+
+    await logSecurityEvent(req, 'DATA_EXPORT_REQUESTED', { severity: 'medium' });
+
+    // Start right away; the scheduled sweep picks it up if this is lost
+    setImmediate(() => {
+      dataExportJob.buildExport(dataExport._id)
+        .catch(error => console.error('Data export build error:', error));
+    });
+
+    res.status(202).json({
+      message: "We're preparing your data. You'll get a notification and an email when it's ready.",
+      export: formatExport(dataExport),
+      success: true
+    });
+
   } catch (error) {
-    console.error('Google OAuth callback error:', error);
-    res.redirect(`${process.env.FRONTEND_URL}/login?error=social_auth_failed`);
+    console.error('Data export request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to request data export' 
+    });
   }
 });
 
-/* ---------------------------------------------------
-   GITHUB CALLBACK
---------------------------------------------------- */
-router.get('/github/callback', async (req, res) => {
+router.get('/export', authMiddleware, async (req, res) => {
   try {
-    const { code, error, state } = req.query;
-    
-    if (error) {
-      console.error('GitHub OAuth error:', error);
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=${error}`);
-    }
-    
-    if (!code) {
-      return res.status(400).json({ error: 'No authorization code received' });
-    }
-    
-    // Check if GitHub OAuth is configured
-    if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
-      console.error('GitHub OAuth not configured');
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=github_not_configured`);
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({ exports: exports.map(formatExport) });
+  } catch (error) {
+    console.error('List data exports error:', error);
+    res.status(500).json({ error: 'Failed to load data exports' });
+  }
+});
+
+router.get('/export/:id/download', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Export not found' });
     }
-    
-    console.log('GitHub OAuth callback received, exchanging code for token...');
-    
-    // Exchange code for access token
-    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
-        client_id: process.env.GITHUB_CLIENT_ID,
-        client_secret: process.env.GITHUB_CLIENT_SECRET,
-        code: code,
-        redirect_uri: `${process.env.API_URL || 'http://localhost:5000'}/api/auth/github/callback`
-      })
-    });
-    
-    const tokenData = await tokenResponse.json();
-    
-    if (!tokenData.access_token) {
-      console.error('No access token received from GitHub:', tokenData);
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=github_token_failed`);
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!dataExport || !dataExport.isDownloadable()) {
+      return res.status(404).json({ error: 'Export not found or expired' });
     }
-    
-    console.log('Access token received, fetching user info...');
-    
-    // Get user info from GitHub
-    const userResponse = await fetch('https://api.github.com/user', {
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`,
-        'User-Agent': 'Whitepage-App',
-        'Accept': 'application/json'
-      }
+
+    await logSecurityEvent(req, 'DATA_EXPORT_DOWNLOADED', {
+      severity: 'medium',
+      metadata: { exportId: dataExport._id }
     });
-    
-    const userInfo = await userResponse.json();
-    
-    if (!userInfo.id) {
-      console.error('Invalid user info from GitHub:', userInfo);
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=github_user_failed`);
-    }
-    
-    console.log('GitHub user info received:', userInfo.login);
-    
-    // Get user emails
-    const emailResponse = await fetch('https://api.github.com/user/emails', {
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`,
-        'User-Agent': 'Whitepage-App',
-        'Accept': 'application/json'
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    const archive = dataExportJob.openArchive(dataExport);
+
+    archive.once('error', (error) => {
+      console.error('Data export download error:', error);
+      if (!res.headersSent) {
+        return res.status(404).json({ error: 'Export file is no longer available' });
       }
+      res.destroy(error);
     });
-    
-    const emails = await emailResponse.json();
-    const primaryEmail = emails.find(email => email.primary && email.verified)?.email || emails[0]?.email;
-    
-    // Find or create user in your database
-    let user = await User.findOne({ 
-      $or: [
-        { githubId: userInfo.id.toString() },
-        { email: primaryEmail }
-      ]
+
+    // Headers go out with the first chunk, so a missing file can still 404
+    archive.once('data', () => {
+      res.attachment(`${req.user.username}-data-${date}.json.gz`);
+      res.type('application/gzip');
+      if (dataExport.size) res.set('Content-Length', String(dataExport.size));
     });
-    
-    if (!user) {
-      // Create new user
-      console.log('Creating new user for GitHub ID:', userInfo.id);
-      
-      // Generate a username from GitHub login
-      let username = userInfo.login;
-      let usernameExists = await User.findOne({ username });
-      let counter = 1;
-      
-      // Ensure unique username
-      while (usernameExists) {
-        username = `${userInfo.login}_${counter}`;
-        usernameExists = await User.findOne({ username });
-        counter++;
-      }
-      
-      user = new User({
-        githubId: userInfo.id.toString(),
-        email: primaryEmail || `${userInfo.login}@github.com`,
-        username: username,
-        profilePicture: userInfo.avatar_url,
-        emailVerified: !!primaryEmail,
-        password: crypto.randomBytes(16).toString('hex')
-      });
-      
-      await user.save();
-      console.log('New user created:', user.username);
-      
-    } else if (!user.githubId) {
-      // Link GitHub account to existing user
-      user.githubId = userInfo.id.toString();
-      await user.save();
-      console.log('GitHub account linked to existing user:', user.username);
-    }
-    
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    console.log('JWT token generated, redirecting to frontend...');
-    
-    // Create user data object for redirect
-    const userData = {
-      id: user._id,
-      username: user.username,
-      email: user.email
-    };
-    
-    // Redirect to frontend with token and user data in hash
-    const encodedUserData = encodeURIComponent(JSON.stringify(userData));
-    res.redirect(
-      `${process.env.FRONTEND_URL}/auth/callback#token=${token}&user=${encodedUserData}&provider=github`
-    );
-    
+    archive.pipe(res);
   } catch (error) {
-    console.error('GitHub OAuth callback error:', error);
-    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=social_auth_failed`);
+    console.error('Data export download error:', error);
+    res.status(500).json({ error: 'Failed to download data export' });
   }
 });
 
 /* ---------------------------------------------------
-   FACEBOOK CALLBACK
+   SUSPENSION APPEAL
 --------------------------------------------------- */
-router.get('/facebook/callback', async (req, res) => {
+router.post('/appeal', authMiddleware.allowWhileSuspended, authMiddleware, async (req, res) => {
   try {
-    const { code, error } = req.query;
-    
-    if (error) {
-      console.error('Facebook OAuth error:', error);
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=${error}`);
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+    if (message.length < 10 || message.length > 2000) {
+      return res.status(400).json({ 
+        error: 'Appeal must be between 10 and 2000 characters' 
+      });
     }
-    
-    if (!code) {
-      return res.status(400).json({ error: 'No authorization code received' });
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({ 
+        error: 'Your account is not suspended' 
+      });
     }
-    
-    // For now, return a simple response since Facebook OAuth needs more setup
-    console.log('Facebook OAuth callback received, code:', code);
-    
+
+    // One appeal per suspension
+    if (user.suspension?.appeal?.status) {
+      return res.status(409).json({ 
+        error: 'You have already appealed this suspension',
+        suspension: user.getSuspensionDetails()
+      });
+    }
+
+    user.suspension = user.suspension || {};
+    user.suspension.appeal = {
+      message,
+      submittedAt: new Date(),
+      status: 'pending'
+    };
+    await user.save();
+
+    await logSecurityEvent(req, 'SUSPENSION_APPEALED', { severity: 'medium' });
+
     res.json({
-      message: 'Facebook OAuth callback received',
-      code: code,
-      note: 'Facebook OAuth needs client ID and secret configuration'
+      message: 'Your appeal has been submitted and will be reviewed by an administrator.',
+      suspension: user.getSuspensionDetails(),
+      success: true
     });
-    
-  } catch (error) {
-    console.error('Facebook OAuth error:', error);
-    res.status(500).json({ error: 'Facebook authentication failed' });
-  }
-});
-
-/* ---------------------------------------------------
-   LINK/UNLINK SOCIAL ACCOUNTS
---------------------------------------------------- */
-router.post('/link/:provider', authMiddleware, async (req, res) => {
-  try {
-    const { provider } = req.params;
-    const { providerId } = req.body;
-    const userId = req.user._id;
-    
-    const update = { [`${provider}Id`]: providerId };
-    await User.findByIdAndUpdate(userId, update);
-    
-    res.json({ success: true, message: `${provider} account linked` });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to link account' });
-  }
-});
 
-router.post('/unlink/:provider', authMiddleware, async (req, res) => {
-  try {
-    const { provider } = req.params;
-    const userId = req.user._id;
-    
-    const update = { [`${provider}Id`]: null };
-    await User.findByIdAndUpdate(userId, update);
-    
-    res.json({ success: true, message: `${provider} account unlinked` });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to unlink account' });
+    console.error('Suspension appeal error:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit appeal' 
+    });
   }
 });
 
@@ -1093,6 +2297,13 @@ router.get('/check-username/:username', async (req, res) => {
       });
     }
 
+    if (await usernameService.isReserved(username)) {
+      return res.json({ 
+        available: false,
+        message: 'Username recently used by another account' 
+      });
+    }
+
     res.json({
       available: true,
       message: 'Username is available'
@@ -1112,7 +2323,7 @@ router.get('/check-username/:username', async (req, res) => {
 --------------------------------------------------- */
 router.put('/settings', authMiddleware, async (req, res) => {
   try {
-    const { showAdultContent } = req.body;
+    const { showAdultContent, feedSort } = req.body;
     const userId = req.user._id;
     
     const user = await User.findById(userId);
@@ -1127,6 +2338,17 @@ router.put('/settings', authMiddleware, async (req, res) => {
     if (showAdultContent !== undefined) {
       user.allowAdultContent = Boolean(showAdultContent);
     }
+
+    // Default sort for the home feed
+    if (feedSort !== undefined) {
+      if (!User.schema.path('preferences.feedSort').enumValues.includes(feedSort)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid feed sort' 
+        });
+      }
+      user.preferences.feedSort = feedSort;
+    }
     
     await user.save();
     
@@ -1134,7 +2356,8 @@ router.put('/settings', authMiddleware, async (req, res) => {
       success: true,
       message: 'Settings updated successfully',
       settings: {
-        showAdultContent: user.allowAdultContent
+        showAdultContent: user.allowAdultContent,
+        feedSort: user.preferences?.feedSort || 'hot'
       }
     });
   } catch (error) {
@@ -1292,4 +2515,135 @@ async function isSuspiciousUsername(username) {
   return suspiciousPatterns.some(pattern => pattern.test(username));
 }
 
+// Email a signed verification link for the user's current address.
+// Returns false instead of throwing so a mail outage never blocks signup.
+async function sendVerificationEmail(user, { resend = false } = {}) {
+  try {
+    const token = jwt.sign(
+      { userId: user._id, email: user.email, purpose: 'verify_email' },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+
+    const link = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+    const template = resend ? emailTemplates.resendVerificationEmail : emailTemplates.verificationEmail;
+
+    await sendEmail(user.email, 'Verify your email address', template(user.username, link));
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return false;
+  }
+}
+
+// First factor passed with 2FA on: hand out a short-lived challenge token
+// for POST /login/2fa instead of a session. Social logins get it through
+// the frontend callback redirect, everything else as JSON.
+async function issueTwoFactorChallenge(user, req, res, { metadata, redirect = false } = {}) {
+  const challengeToken = jwt.sign(
+    { userId: user._id, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+  await logSecurityEvent(req, 'LOGIN_2FA_CHALLENGE', { userId: user._id, metadata });
+
+  if (redirect) {
+    return redirectAuthCallback(res, {
+      twoFactorRequired: 'true',
+      challengeToken,
+      provider: metadata?.provider
+    });
+  }
+
+  return res.json({
+    message: 'Enter the code from your authenticator app.',
+    twoFactorRequired: true,
+    challengeToken,
+    success: true
+  });
+}
+
+// Accounts without a password confirm sensitive actions through an emailed
+// link instead. The token's purpose is bound to the action.
+const CONFIRMATION_MINUTES = 30;
+const CONFIRMATIONS = {
+  deletion: {
+    subject: 'Confirm your account deletion',
+    path: '/settings/delete-account',
+    template: emailTemplates.accountDeletionConfirmEmail
+  },
+  two_factor: {
+    subject: 'Confirm two-factor setup',
+    path: '/settings/security/2fa',
+    template: emailTemplates.twoFactorSetupConfirmEmail
+  }
+};
+
+function sendActionConfirmation(user, action) {
+  const { subject, path, template } = CONFIRMATIONS[action];
+  const token = jwt.sign(
+    { userId: user._id, purpose: `confirm_${action}` },
+    process.env.JWT_SECRET,
+    { expiresIn: `${CONFIRMATION_MINUTES}m` }
+  );
+  const link = `${process.env.FRONTEND_URL}${path}?token=${token}`;
+
+  return sendEmail(user.email, subject, template(user.username, link, CONFIRMATION_MINUTES));
+}
+
+function isValidActionConfirmation(token, user, action) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === `confirm_${action}` && decoded.userId === user._id.toString();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a TOTP code or a one-time recovery code. Marks the code as used on
+// the document; the caller is responsible for saving it.
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+    });
+
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hashed);
+
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+}
+
+// Reset and magic-link tokens are stored only as SHA-256 hashes
+function hashEmailToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Ten codes in xxxxx-xxxxx form
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).trim().toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
 module.exports = router;
\ No newline at end of file
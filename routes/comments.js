@@ -4,6 +4,7 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const { antiAbuse } = require('../middleware/security');
 
 // Get comments for a post
 router.get('/:postId/comments', async (req, res) => {
@@ -79,7 +80,7 @@ res.json({
 });
 
 // Add a comment to a post
-router.post('/:postId/comments', auth, async (req, res) => {
+router.post('/:postId/comments', auth, auth.requireVerifiedEmail('post'), antiAbuse('comment'), async (req, res) => {
   try {
     const { content } = req.body;
     const postId = req.params.postId;
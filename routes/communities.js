@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const Community = require('../models/Community');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { logSecurityEvent } = require('../services/securityLogService');
 const mongoose = require('mongoose');
 
 // ========== STATIC ROUTES ==========
@@ -130,7 +132,7 @@ router.get('/:name', async (req, res) => {
 });
 
 // POST /api/communities - Create community
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, auth.requireVerifiedEmail('post'), async (req, res) => {
   try {
     console.log('📢 POST /api/communities route hit');
     const { name, displayName, description, isPublic, isNSFW } = req.body;
@@ -187,7 +189,7 @@ router.post('/', auth, async (req, res) => {
 });
 
 // POST /api/communities/:name/join - Join community
-router.post('/:name/join', auth, async (req, res) => {
+router.post('/:name/join', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     console.log(`📢 POST /api/communities/${req.params.name}/join route hit`);
     const community = await Community.findOne({ name: req.params.name });
@@ -236,7 +238,7 @@ router.post('/:name/join', auth, async (req, res) => {
 });
 
 // POST /api/communities/:name/leave - Leave community
-router.post('/:name/leave', auth, async (req, res) => {
+router.post('/:name/leave', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     console.log(`📢 POST /api/communities/${req.params.name}/leave route hit`);
     const community = await Community.findOne({ name: req.params.name });
@@ -294,4 +296,120 @@ router.post('/:name/leave', auth, async (req, res) => {
   }
 });
 
+// POST /api/communities/:name/moderators - Add moderator
+router.post('/:name/moderators', auth.requireCommunityModerator('name'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid user ID' 
+      });
+    }
+
+    const [community, user] = await Promise.all([
+      Community.findOne({ name: req.params.name }),
+      User.findById(userId).select('username')
+    ]);
+
+    if (!community || !user) {
+      return res.status(404).json({ 
+        success: false,
+        error: community ? 'User not found' : 'Community not found' 
+      });
+    }
+
+    if (community.moderators.some(id => id.toString() === userId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'User is already a moderator' 
+      });
+    }
+
+    community.moderators.push(user._id);
+    if (!community.members.some(id => id.toString() === userId)) {
+      community.members.push(user._id);
+      community.memberCount = community.members.length;
+    }
+    await community.save();
+
+    await logSecurityEvent(req, 'MODERATOR_ADDED', {
+      userId: user._id,
+      severity: 'medium',
+      metadata: {
+        community: community.name,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username
+      }
+    });
+
+    res.json({ 
+      success: true,
+      message: `${user.username} is now a moderator of ${community.name}`,
+      moderators: community.moderators
+    });
+  } catch (error) {
+    console.error('Error adding moderator:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error' 
+    });
+  }
+});
+
+// DELETE /api/communities/:name/moderators/:userId - Remove moderator
+router.delete('/:name/moderators/:userId', auth.requireCommunityModerator('name'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const community = await Community.findOne({ name: req.params.name });
+
+    if (!community) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Community not found' 
+      });
+    }
+
+    if (community.createdBy.toString() === userId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'The community creator cannot be removed as moderator' 
+      });
+    }
+
+    if (!community.moderators.some(id => id.toString() === userId)) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User is not a moderator' 
+      });
+    }
+
+    community.moderators = community.moderators.filter(id => id.toString() !== userId);
+    await community.save();
+
+    await logSecurityEvent(req, 'MODERATOR_REMOVED', {
+      userId,
+      severity: 'medium',
+      metadata: {
+        community: community.name,
+        changedBy: req.user._id,
+        changedByUsername: req.user.username
+      }
+    });
+
+    res.json({ 
+      success: true,
+      message: 'Moderator removed',
+      moderators: community.moderators
+    });
+  } catch (error) {
+    console.error('Error removing moderator:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,14 +3,18 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const Notification = require('../models/Notification');
+const { CursorError, applyCursor, pageResult } = require('../utils/pagination');
+
+const NOTIFICATION_SORT = { createdAt: -1, _id: -1 };
 
 // Get user notifications with better filtering
 router.get('/', auth, async (req, res) => {
   try {
-    const { limit = 20, page = 1, type } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    const { limit = 20, page = 1, type, cursor } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    // ?cursor= for stable paging; ?page= kept for older clients
+    const skip = cursor ? 0 : (pageNum - 1) * limitNum;
 
     // Build query
     const query = { user: req.user._id };
@@ -18,14 +22,18 @@ router.get('/', auth, async (req, res) => {
       query.type = type;
     }
 
-    const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum)
-      .populate('sender', 'username avatar')
-      .populate('post', 'title')
-      .populate('comment', 'content')
-      .lean(); // Use lean for better performance
+    const { items: notifications, nextCursor } = pageResult(
+      await Notification.find(applyCursor(query, NOTIFICATION_SORT, cursor))
+        .sort(NOTIFICATION_SORT)
+        .skip(skip)
+        .limit(limitNum + 1)
+        .populate('sender', 'username avatar')
+        .populate('post', 'title')
+        .populate('comment', 'content')
+        .lean(), // Use lean for better performance
+      NOTIFICATION_SORT,
+      limitNum
+    );
 
     // Format notifications for frontend
     const formattedNotifications = notifications.map(notification => ({
@@ -42,7 +50,7 @@ router.get('/', auth, async (req, res) => {
       commentContent: notification.commentContent || notification.comment?.content
     }));
 
-    const total = await Notification.countDocuments(query);
+    const total = cursor ? undefined : await Notification.countDocuments(query);
     const unreadCount = await Notification.countDocuments({ 
       user: req.user._id, 
       isRead: false 
@@ -52,11 +60,15 @@ router.get('/', auth, async (req, res) => {
       success: true,
       notifications: formattedNotifications,
       unreadCount,
-      page: pageNum,
-      totalPages: Math.ceil(total / limitNum),
+      nextCursor,
+      page: cursor ? undefined : pageNum,
+      totalPages: cursor ? undefined : Math.ceil(total / limitNum),
       totalNotifications: total
     });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Error fetching notifications:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
   }
@@ -102,7 +114,7 @@ router.get('/unread-count', auth, async (req, res) => {
 });
 
 // Mark notification as read
-router.patch('/:id/read', auth, async (req, res) => {
+router.patch('/:id/read', auth.allowWhileSuspended, auth, async (req, res) => {
   try {
     const notification = await Notification.findOneAndUpdate(
       { _id: req.params.id, user: req.user._id },
@@ -121,7 +133,7 @@ router.patch('/:id/read', auth, async (req, res) => {
 });
 
 // Mark all notifications as read
-router.post('/read-all', auth, async (req, res) => {
+router.post('/read-all', auth.allowWhileSuspended, auth, async (req, res) => {
   try {
     await Notification.updateMany(
       { user: req.user._id, isRead: false },
@@ -135,7 +147,7 @@ router.post('/read-all', auth, async (req, res) => {
 });
 
 // Delete notification
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth.allowWhileSuspended, auth, async (req, res) => {
   try {
     const notification = await Notification.findOneAndDelete({
       _id: req.params.id,
@@ -153,7 +165,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Clear all notifications (optional)
-router.delete('/', auth, async (req, res) => {
+router.delete('/', auth.allowWhileSuspended, auth, async (req, res) => {
   try {
     await Notification.deleteMany({ user: req.user._id });
     res.json({ success: true, message: 'All notifications cleared' });
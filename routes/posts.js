@@ -5,16 +5,86 @@ const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const Community = require('../models/Community');
+const SeenPost = require('../models/SeenPost');
 const mongoose = require('mongoose');
 const MAX_CONTENT_LENGTH = 2000;
 const URL_REGEX = /(https?:\/\/[^\s]+)/g;
 const ogs = require('open-graph-scraper');
 const slugify = require('slugify');
+// After this many minutes only the body of a post can still be edited
+const POST_EDIT_WINDOW_MINUTES = parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 15;
+// Most recent seen posts left out of the home feed
+const MAX_SEEN_EXCLUDED = 1000;
+const { canModerateCommunity } = require('../utils/permissions');
+const usernameService = require('../services/usernameService');
+const PostRevision = require('../models/PostRevision');
+const { diffWords } = require('../utils/textDiff');
+const { SORTS, isSort, isTopWindow, windowStart } = require('../utils/ranking');
+const { CursorError, applyCursor, pageResult } = require('../utils/pagination');
+const { createLimiter } = require('../utils/rateLimits');
+
+// Revision diffs are public and CPU-bound
+const revisionDiffLimiter = createLimiter('revision_diff');
+const { antiAbuse } = require('../middleware/security');
 
 function extractLinks(text = '') {
   return text.match(URL_REGEX) || [];
 }
 
+// Build the externalLink preview for post content, which may carry at most
+// one link. Returns { externalLink } or { error }.
+async function buildExternalLink(content = '') {
+  const links = extractLinks(content);
+
+  // Enforce ONE link
+  if (links.length > 1) {
+    return { error: 'Only one external link allowed per post' };
+  }
+
+  if (links.length === 0) {
+    return { externalLink: null };
+  }
+
+  const url = links[0];
+
+  // Validate URL format
+  try {
+    new URL(url);
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+
+  // Try to fetch Open Graph data
+  let result = {};
+  try {
+    const ogResponse = await ogs({ 
+      url,
+      timeout: 3000,
+      followRedirect: true,
+      headers: {
+        'user-agent': 'Mozilla/5.0 (LinkPreviewBot)'
+      }
+    });
+    result = ogResponse.result || {};
+  } catch (err) {
+    console.log('Open Graph fetch failed:', err.message);
+    result = {};
+  }
+
+  return {
+    externalLink: {
+      url,
+      platform: detectPlatform(url),
+      title: result.ogTitle || result.twitterTitle || null,
+      description: result.ogDescription || result.twitterDescription || null,
+      image: result.ogImage?.url || result.twitterImage?.url || null,
+      video: result.ogVideo?.url || null,
+      siteName: result.ogSiteName || result.twitterSite || new URL(url).hostname
+    }
+  };
+}
+
 function detectPlatform(url) {
   try {
     const urlObj = new URL(url);
@@ -63,12 +133,54 @@ const applyContentFilter = (req, query) => {
   return query;
 };
 
+// top and controversial can be limited to a time window (?t=day etc.).
+// Returns the window actually applied.
+const applyTimeWindow = (query, sort, t) => {
+  const timeWindow = isTopWindow(t) ? t : 'all';
+  if (sort === 'top' || sort === 'controversial') {
+    const since = windowStart(timeWindow);
+    if (since) {
+      query.createdAt = { $gte: since };
+    }
+  }
+  return timeWindow;
+};
+
+// Shape a lean, author-populated post for feed responses
+const formatFeedPost = (post, userId) => {
+  // Check user vote if authenticated
+  let userVote = null;
+  if (userId) {
+    userVote = post.upvotes?.some(id => id && id.toString() === userId) ? 'upvote' :
+               post.downvotes?.some(id => id && id.toString() === userId) ? 'downvote' : null;
+  }
+  
+  return {
+    _id: post._id,
+    slug: post.slug,
+    title: post.title || '',
+    content: post.content || '',
+    subreddit: post.subreddit || '',
+    createdAt: post.createdAt || new Date(),
+    editedAt: post.editedAt || null,
+    authorId: post.author?._id,
+    authorName: post.author?.username || 'deleted',
+    authorKarma: post.author?.karma || 0,
+    votes: post.votes || 0,
+    commentCount: post.commentCount || 0,
+    userVote: userVote,
+    externalLink: post.externalLink || null,
+    isAdult: post.isAdult || false,
+    isHidden: post.isHidden || false
+  };
+};
+
 // ====================
 // VOTE ROUTES
 // ====================
 
 // FIXED: This is the correct endpoint for voting
-router.post('/votes/:postId/:type', auth, async (req, res) => {
+router.post('/votes/:postId/:type', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     const { postId, type } = req.params;
     
@@ -290,7 +402,7 @@ router.get('/utils/link-preview', async (req, res) => {
 // ====================
 
 // ADD THIS NEW ENDPOINT for saving posts
-router.post('/:identifier/save', auth, async (req, res) => {
+router.post('/:identifier/save', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     const { identifier } = req.params;
     
@@ -348,6 +460,53 @@ router.post('/:identifier/save', auth, async (req, res) => {
   }
 });
 
+// ====================
+// POST HIDE ENDPOINT
+// ====================
+
+// Hide a post from the home feed (toggles)
+router.post('/:identifier/hide', auth, async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    
+    // Find post by slug or ID
+    let post;
+    post = await Post.findOne({ slug: identifier });
+    
+    if (!post && mongoose.Types.ObjectId.isValid(identifier)) {
+      post = await Post.findById(identifier);
+    }
+    
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Post not found' 
+      });
+    }
+    
+    const alreadyHidden = req.user.hiddenPosts?.some(hiddenPostId => 
+      hiddenPostId.toString() === post._id.toString()
+    );
+    
+    await User.findByIdAndUpdate(req.user._id, alreadyHidden
+      ? { $pull: { hiddenPosts: post._id } }
+      : { $addToSet: { hiddenPosts: post._id } }
+    );
+    
+    res.json({
+      success: true,
+      message: alreadyHidden ? 'Post unhidden' : 'Post hidden',
+      hidden: !alreadyHidden
+    });
+  } catch (error) {
+    console.error('Error hiding post:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to hide post' 
+    });
+  }
+});
+
 // ====================
 // STATIC ROUTES
 // ====================
@@ -358,8 +517,10 @@ router.get('/', async (req, res) => {
     const { 
       subreddit, 
       sort = 'new', 
+      t = 'all',
       page = 1, 
       limit = 10,
+      cursor,
       showAdult = 'false'
     } = req.query;
     
@@ -372,29 +533,28 @@ router.get('/', async (req, res) => {
     // Apply content filtering
     query = applyContentFilter(req, query);
 
-    // Determine sort option
-    let sortOption = {};
-    if (sort === 'hot' || sort === 'top') {
-      sortOption = { votes: -1, createdAt: -1 };
-    } else if (sort === 'best') {
-      sortOption = { votes: -1, createdAt: -1 };
-    } else if (sort === 'new') {
-      sortOption = { createdAt: -1 };
-    } else {
-      sortOption = { createdAt: -1 };
-    }
+    // Determine sort option; scores are precomputed so every sort is indexed
+    const sortName = isSort(sort) ? sort : 'new';
+    const sortOption = SORTS[sortName];
 
+    const timeWindow = applyTimeWindow(query, sortName, t);
+
+    // Cursor pagination; ?page= still works for older clients
     const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 10;
-    const skip = (pageNum - 1) * limitNum;
+    const limitNum = Math.min(parseInt(limit) || 10, 100);
+    const skip = cursor ? 0 : (pageNum - 1) * limitNum;
 
     // Fetch posts with population
-    const posts = await Post.find(query)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limitNum)
-      .populate('author', 'username karma')
-      .lean();
+    const { items: posts, nextCursor } = pageResult(
+      await Post.find(applyCursor(query, sortOption, cursor))
+        .sort(sortOption)
+        .skip(skip)
+        .limit(limitNum + 1)
+        .populate('author', 'username karma')
+        .lean(),
+      sortOption,
+      limitNum
+    );
 
     // Get user IDs for vote status if authenticated
     let userId = null;
@@ -410,47 +570,27 @@ router.get('/', async (req, res) => {
     }
 
     // Format posts for response
-    const formattedPosts = posts.map(post => {
-      // Check user vote if authenticated
-      let userVote = null;
-      if (userId) {
-        userVote = post.upvotes?.some(id => id && id.toString() === userId) ? 'upvote' :
-                   post.downvotes?.some(id => id && id.toString() === userId) ? 'downvote' : null;
-      }
-      
-      return {
-        _id: post._id,
-        slug: post.slug,
-        title: post.title || '',
-        content: post.content || '',
-        subreddit: post.subreddit || '',
-        createdAt: post.createdAt || new Date(),
-        authorId: post.author?._id,
-        authorName: post.author?.username || 'deleted',
-        authorKarma: post.author?.karma || 0,
-        votes: post.votes || 0,
-        commentCount: post.commentCount || 0,
-        userVote: userVote,
-        externalLink: post.externalLink || null,
-        isAdult: post.isAdult || false,
-        isHidden: post.isHidden || false
-      };
-    });
+    const formattedPosts = posts.map(post => formatFeedPost(post, userId));
 
-    // Get total count
-    const total = await Post.countDocuments(query);
+    // Totals only for page-number clients; counting is what makes deep pages slow
+    const total = cursor ? undefined : await Post.countDocuments(query);
 
     res.json({
       success: true,
       posts: formattedPosts,
-      page: pageNum,
-      totalPages: Math.ceil(total / limitNum),
+      nextCursor,
+      page: cursor ? undefined : pageNum,
+      totalPages: cursor ? undefined : Math.ceil(total / limitNum),
       totalPosts: total,
-      sort: sort,
+      sort: sortName,
+      t: timeWindow,
       showAdult: showAdult === 'true'
     });
     
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('GET /api/posts ERROR:', error);
     res.status(500).json({
       success: false,
@@ -460,6 +600,123 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/posts/home - Posts from joined communities and followed users.
+// Guests, and users who haven't joined or followed anything yet, get the
+// popular feed instead.
+router.get('/home', auth.optional, async (req, res) => {
+  try {
+    const { cursor, t = 'all', includeSeen = 'false' } = req.query;
+    const limitNum = Math.min(parseInt(req.query.limit) || 10, 100);
+    const user = req.user;
+
+    // Explicit ?sort= wins, then the user's preference
+    const sort = isSort(req.query.sort) ? req.query.sort : (user?.preferences?.feedSort || 'hot');
+    const sortOption = SORTS[sort];
+
+    let query = { isHidden: false };
+    query = applyContentFilter(req, query);
+    const timeWindow = applyTimeWindow(query, sort, t);
+
+    let feed = 'popular';
+
+    if (user) {
+      const communities = await Community.find({ members: user._id })
+        .select('_id name')
+        .lean();
+      const following = user.following || [];
+
+      if (communities.length || following.length) {
+        feed = 'home';
+        query.$or = [
+          { subreddit: { $in: communities.map(community => community.name) } },
+          { community: { $in: communities.map(community => community._id) } },
+          { author: { $in: following } }
+        ];
+      }
+
+      // Hidden posts never show; seen ones only when asked for
+      const excluded = [...(user.hiddenPosts || [])];
+      if (includeSeen !== 'true') {
+        const seen = await SeenPost.find({ user: user._id })
+          .sort({ seenAt: -1 })
+          .limit(MAX_SEEN_EXCLUDED)
+          .select('post')
+          .lean();
+        excluded.push(...seen.map(entry => entry.post));
+      }
+      if (excluded.length) {
+        query._id = { $nin: excluded };
+      }
+    }
+
+    const { items: posts, nextCursor } = pageResult(
+      await Post.find(applyCursor(query, sortOption, cursor))
+        .sort(sortOption)
+        .limit(limitNum + 1)
+        .populate('author', 'username karma')
+        .lean(),
+      sortOption,
+      limitNum
+    );
+
+    const userId = user?._id.toString();
+
+    res.json({
+      success: true,
+      feed,
+      posts: posts.map(post => formatFeedPost(post, userId)),
+      nextCursor,
+      sort,
+      t: timeWindow
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('GET /api/posts/home ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch home feed'
+    });
+  }
+});
+
+// Record posts the client has shown, so the home feed can skip them
+router.post('/seen', auth, async (req, res) => {
+  try {
+    const postIds = (Array.isArray(req.body.postIds) ? req.body.postIds : [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .slice(0, 100);
+
+    if (!postIds.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'postIds must be a non-empty array of post IDs' 
+      });
+    }
+
+    const now = new Date();
+    await SeenPost.bulkWrite(postIds.map(id => ({
+      updateOne: {
+        filter: { user: req.user._id, post: id },
+        update: { $set: { seenAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    res.json({ 
+      success: true,
+      count: postIds.length
+    });
+  } catch (error) {
+    console.error('Error recording seen posts:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to record seen posts' 
+    });
+  }
+});
+
 // Get popular subreddits
 router.get('/subreddits', async (req, res) => {
   try {
@@ -486,30 +743,24 @@ router.get('/trending', async (req, res) => {
   try {
     const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
     
+    const limit = Math.min(parseInt(req.query.limit) || 5, 25);
+    
+    // Hottest recent posts, straight from the hotScore index
     const posts = await Post.find({
       createdAt: { $gte: twoDaysAgo },
-      isAdult: false
+      isAdult: false,
+      isHidden: false
     })
     .populate('author', 'username')
-    .sort({ createdAt: -1 })
-    .limit(20);
+    .sort(SORTS.hot)
+    .limit(limit);
     
-    const postsWithScore = posts.map(post => {
-      const hoursSinceCreated = (Date.now() - new Date(post.createdAt).getTime()) / (1000 * 60 * 60);
-      const upvoteCount = post.upvotes ? post.upvotes.length : 0;
-      const commentCount = post.commentCount || 0;
-      const score = (upvoteCount * 2) + commentCount - (hoursSinceCreated * 0.2);
-      
-      return {
-        ...post.toObject(),
-        trendingScore: score,
-        votes: post.votes || 0,
-        commentCount: commentCount
-      };
-    });
-    
-    postsWithScore.sort((a, b) => b.trendingScore - a.trendingScore);
-    const trendingPostsResult = postsWithScore.slice(0, 5);
+    const trendingPostsResult = posts.map(post => ({
+      ...post.toObject(),
+      trendingScore: post.hotScore,
+      votes: post.votes || 0,
+      commentCount: post.commentCount || 0
+    }));
     
     res.json({
       success: true,
@@ -528,9 +779,10 @@ router.get('/trending', async (req, res) => {
 router.get('/user/:username', async (req, res) => {
   try {
     const { username } = req.params;
+    const { cursor } = req.query;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = cursor ? 0 : (page - 1) * limit;
 
     if (!username || username.trim() === '') {
       return res.status(400).json({ 
@@ -539,10 +791,11 @@ router.get('/user/:username', async (req, res) => {
       });
     }
 
-    // 1. Find user
-    const user = await User.findOne({ 
-      username: username.trim() 
-    }).select('_id username karma createdAt bio socialLinks');
+    // 1. Find user (old handles resolve to the account that used them)
+    const { user, resolvedFrom } = await usernameService.findUserByHandle(
+      username.trim(),
+      '_id username karma createdAt bio socialLinks'
+    );
     
     if (!user) {
       return res.status(404).json({ 
@@ -560,15 +813,16 @@ router.get('/user/:username', async (req, res) => {
       query.isAdult = false;
     }
 
-    // 3. Find posts with pagination
-    const [posts, total] = await Promise.all([
-      Post.find(query)
-        .sort({ createdAt: -1 })
+    // 3. Find posts with pagination (cursor, or page number for older clients)
+    const [found, total] = await Promise.all([
+      Post.find(applyCursor(query, SORTS.new, cursor))
+        .sort(SORTS.new)
         .skip(skip)
-        .limit(limit)
+        .limit(limit + 1)
         .lean(),
-      Post.countDocuments(query)
+      cursor ? undefined : Post.countDocuments(query)
     ]);
+    const { items: posts, nextCursor } = pageResult(found, SORTS.new, limit);
 
     // 4. Format posts for response
     const formattedPosts = posts.map(post => {
@@ -584,6 +838,7 @@ router.get('/user/:username', async (req, res) => {
         content: post.content || '',
         subreddit: post.subreddit || 'general',
         createdAt: post.createdAt || new Date(),
+        editedAt: post.editedAt || null,
         authorId: user._id,
         authorName: user.username,
         authorKarma: user.karma || 0,
@@ -604,19 +859,22 @@ router.get('/user/:username', async (req, res) => {
       socialLinks: user.socialLinks || []
     };
 
-    const totalPages = Math.ceil(total / limit);
-
     res.json({
       success: true,
       user: userInfo,
+      resolvedFrom: resolvedFrom || undefined,
       posts: formattedPosts,
-      page: page,
-      totalPages: totalPages,
+      nextCursor,
+      page: cursor ? undefined : page,
+      totalPages: cursor ? undefined : Math.ceil(total / limit),
       totalPosts: total,
       showAdult: showAdult
     });
 
   } catch (err) {
+    if (err instanceof CursorError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     console.error('GET /api/posts/user/:username ERROR:', err);
     res.status(500).json({ 
       success: false,
@@ -631,7 +889,7 @@ router.get('/user/:username', async (req, res) => {
 // ====================
 
 // Create post
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, auth.requireVerifiedEmail('post'), antiAbuse('post'), async (req, res) => {
   try {
     const { title, content = '', subreddit, isAdult = false } = req.body;
 
@@ -656,58 +914,33 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Extract links
-    const links = extractLinks(content);
-
-    // Enforce ONE link
-    if (links.length > 1) {
-      return res.status(400).json({ 
+    // Posts must go into an existing community
+    const community = await Community.findOne({ name: subreddit.toLowerCase().trim() })
+      .select('_id name isPublic isNSFW members');
+    if (!community) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Only one external link allowed per post' 
+        error: 'Community not found' 
       });
     }
 
-    let externalLink = null;
-
-    if (links.length === 1) {
-      const url = links[0];
-
-      // Validate URL format
-      try {
-        new URL(url);
-      } catch {
-        return res.status(400).json({ 
+    // Private communities only take posts from members and moderators
+    if (!community.isPublic) {
+      const isMember = community.members.some(id => id.toString() === req.user._id.toString());
+      if (!isMember && !(await canModerateCommunity(req.user, community.name))) {
+        return res.status(403).json({ 
           success: false,
-          error: 'Invalid URL format' 
-        });
-      }
-
-      // Try to fetch Open Graph data
-      let result = {};
-      try {
-        const ogResponse = await ogs({ 
-          url,
-          timeout: 3000,
-          followRedirect: true,
-          headers: {
-            'user-agent': 'Mozilla/5.0 (LinkPreviewBot)'
-          }
+          error: 'Only members can post in this community' 
         });
-        result = ogResponse.result || {};
-      } catch (err) {
-        console.log('Open Graph fetch failed:', err.message);
-        result = {};
       }
+    }
 
-      externalLink = {
-        url,
-        platform: detectPlatform(url),
-        title: result.ogTitle || result.twitterTitle || null,
-        description: result.ogDescription || result.twitterDescription || null,
-        image: result.ogImage?.url || result.twitterImage?.url || null,
-        video: result.ogVideo?.url || null,
-        siteName: result.ogSiteName || result.twitterSite || new URL(url).hostname
-      };
+    const { externalLink, error: linkError } = await buildExternalLink(content);
+    if (linkError) {
+      return res.status(400).json({ 
+        success: false,
+        error: linkError 
+      });
     }
 
     // Generate initial slug
@@ -722,11 +955,13 @@ router.post('/', auth, async (req, res) => {
       title: title.trim(),
       slug: slug,
       content: content.trim(),
-      subreddit: subreddit.toLowerCase().trim(),
+      subreddit: community.name,
+      community: community._id,
       author: req.user._id,
       authorName: req.user.username,
       externalLink,
-      isAdult: Boolean(isAdult),
+      // Everything in an NSFW community is adult content
+      isAdult: Boolean(isAdult) || community.isNSFW,
       votes: 0,
       commentCount: 0
     });
@@ -766,7 +1001,7 @@ router.get('/:identifier', async (req, res) => {
     const { identifier } = req.params;
     
     // Check for special routes
-    if (['count', 'trending', 'subreddits', 'user', 'adult', 'public', 'search'].includes(identifier)) {
+    if (['count', 'trending', 'subreddits', 'user', 'adult', 'public', 'search', 'home'].includes(identifier)) {
       return res.status(400).json({ 
         success: false,
         error: 'Invalid post identifier' 
@@ -833,12 +1068,278 @@ router.get('/:identifier', async (req, res) => {
   }
 });
 
+// ====================
+// EDIT ROUTES
+// ====================
+
+const findPostByIdentifier = async (identifier) => {
+  let post = await Post.findOne({ slug: identifier });
+  if (!post && mongoose.Types.ObjectId.isValid(identifier)) {
+    post = await Post.findById(identifier);
+  }
+  return post;
+};
+
+const revisionSnapshot = (post) => ({
+  title: post.title,
+  content: post.content || '',
+  externalLink: post.externalLink?.url ? post.externalLink.toObject() : null
+});
+
+// Posts that were never edited have no stored revisions; present the
+// current state as revision 1 so clients always get a history.
+const loadRevisions = async (post) => {
+  if (!post.revisionCount) {
+    return [{
+      post: post._id,
+      revision: 1,
+      ...revisionSnapshot(post),
+      editedBy: post.author,
+      editedAt: post.createdAt
+    }];
+  }
+
+  return PostRevision.find({ post: post._id })
+    .sort({ revision: 1 })
+    .populate('editedBy', 'username')
+    .lean();
+};
+
+// Edit post
+router.put('/:identifier', auth, auth.requireVerifiedEmail('post'), async (req, res) => {
+  try {
+    const post = await findPostByIdentifier(req.params.identifier);
+
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Post not found' 
+      });
+    }
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to edit this post' 
+      });
+    }
+
+    if (post.isLocked || post.isArchived) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'This post can no longer be edited' 
+      });
+    }
+
+    const title = req.body.title !== undefined ? String(req.body.title).trim() : post.title;
+    const content = req.body.content !== undefined ? String(req.body.content).trim() : (post.content || '');
+
+    if (!title) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Title is required' 
+      });
+    }
+
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Post exceeds character limit' 
+      });
+    }
+
+    const titleChanged = title !== post.title;
+    const contentChanged = content !== (post.content || '');
+
+    if (!titleChanged && !contentChanged) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'No changes to save' 
+      });
+    }
+
+    // Past the edit window the title is frozen; the body stays editable
+    const windowEndsAt = new Date(post.createdAt.getTime() + POST_EDIT_WINDOW_MINUTES * 60 * 1000);
+    const editWindowClosed = Date.now() > windowEndsAt.getTime();
+    if (titleChanged && editWindowClosed) {
+      return res.status(403).json({ 
+        success: false,
+        error: `The title can only be changed within ${POST_EDIT_WINDOW_MINUTES} minutes of posting`,
+        code: 'EDIT_WINDOW_CLOSED'
+      });
+    }
+
+    let externalLink = post.externalLink?.url ? post.externalLink.toObject() : null;
+    if (contentChanged) {
+      const links = extractLinks(content);
+      const linkChanged = (links[0] || null) !== (externalLink?.url || null);
+
+      // Past the edit window only the text may change, not the link
+      if (linkChanged && editWindowClosed) {
+        return res.status(400).json({ 
+          success: false,
+          error: `The link can only be changed within ${POST_EDIT_WINDOW_MINUTES} minutes of posting`,
+          code: 'EDIT_WINDOW_CLOSED'
+        });
+      }
+
+      // Keep the stored preview if the link itself didn't change
+      if (linkChanged || links.length > 1) {
+        const built = await buildExternalLink(content);
+        if (built.error) {
+          return res.status(400).json({ 
+            success: false,
+            error: built.error 
+          });
+        }
+        externalLink = built.externalLink;
+      }
+    }
+
+    const now = new Date();
+    const revisions = [];
+
+    // First edit: store the original before recording the new version
+    if (!post.revisionCount) {
+      revisions.push({
+        post: post._id,
+        revision: 1,
+        ...revisionSnapshot(post),
+        editedBy: post.author,
+        editedAt: post.createdAt
+      });
+    }
+
+    const revision = (post.revisionCount || 1) + 1;
+    revisions.push({
+      post: post._id,
+      revision,
+      title,
+      content,
+      externalLink,
+      editedBy: req.user._id,
+      editedAt: now
+    });
+
+    await PostRevision.insertMany(revisions);
+
+    post.title = title;
+    post.content = content;
+    post.externalLink = externalLink;
+    post.editedAt = now;
+    post.revisionCount = revision;
+    await post.save();
+
+    const populatedPost = await Post.findById(post._id)
+      .populate('author', 'username karma');
+
+    res.json({ 
+      success: true,
+      post: populatedPost,
+      revision,
+      message: 'Post updated successfully'
+    });
+  } catch (error) {
+    console.error('Error editing post:', error);
+
+    // Another edit claimed the same revision number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Post was edited at the same time. Please reload and try again.'
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Get revision history
+router.get('/:identifier/revisions', async (req, res) => {
+  try {
+    const post = await findPostByIdentifier(req.params.identifier);
+
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Post not found' 
+      });
+    }
+
+    const revisions = await loadRevisions(post);
+
+    res.json({ 
+      success: true,
+      postId: post._id,
+      editedAt: post.editedAt,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Diff two revisions (defaults to the latest against the one before it)
+router.get('/:identifier/revisions/diff', revisionDiffLimiter, async (req, res) => {
+  try {
+    const post = await findPostByIdentifier(req.params.identifier);
+
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Post not found' 
+      });
+    }
+
+    const revisions = await loadRevisions(post);
+    const latest = revisions[revisions.length - 1].revision;
+    const to = parseInt(req.query.to) || latest;
+    const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+
+    const before = revisions.find(r => r.revision === from);
+    const after = revisions.find(r => r.revision === to);
+
+    if (!before || !after) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Revision not found' 
+      });
+    }
+
+    res.json({ 
+      success: true,
+      from,
+      to,
+      title: diffWords(before.title, after.title),
+      content: diffWords(before.content || '', after.content || ''),
+      externalLink: {
+        before: before.externalLink?.url || null,
+        after: after.externalLink?.url || null,
+        changed: (before.externalLink?.url || null) !== (after.externalLink?.url || null)
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
 // ====================
 // COMMENT ROUTES
 // ====================
 
 // Add comment
-router.post('/:identifier/comments', auth, async (req, res) => {
+router.post('/:identifier/comments', auth, auth.requireVerifiedEmail('post'), antiAbuse('comment'), async (req, res) => {
   try {
     const { content } = req.body;
     const { identifier } = req.params;
@@ -1047,8 +1548,9 @@ router.delete('/:identifier', auth, async (req, res) => {
       });
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
+    // Authors can delete their own posts; moderators can delete any in their community
+    const isAuthor = post.author.toString() === req.user._id.toString();
+    if (!isAuthor && !(await canModerateCommunity(req.user, post.subreddit))) {
       return res.status(403).json({ 
         success: false,
         error: 'Not authorized to delete this post' 
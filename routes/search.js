@@ -4,6 +4,11 @@ const router = express.Router();
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Community = require('../models/Community');
+const { CursorError, applyCursor, pageResult } = require('../utils/pagination');
+
+const POST_SORT = { createdAt: -1, _id: -1 };
+const COMMUNITY_SORT = { memberCount: -1, _id: -1 };
+const USER_SORT = { karma: -1, _id: -1 };
 
 /* ---------------------------------------------------
    COMPREHENSIVE SEARCH ENDPOINT
@@ -11,7 +16,7 @@ const Community = require('../models/Community');
 --------------------------------------------------- */
 router.get('/', async (req, res) => {
   try {
-    const { q: query, type = 'all', page = 1, limit = 10 } = req.query;
+    const { q: query, type = 'all', page = 1, limit = 10, cursor } = req.query;
     
     if (!query || query.trim() === '') {
       return res.status(400).json({
@@ -21,9 +26,11 @@ router.get('/', async (req, res) => {
     }
 
     const searchQuery = query.trim();
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 10, 100);
+    // Cursors page through a single type; ?page= kept for older clients
+    const skip = cursor ? 0 : (pageNum - 1) * limitNum;
+    let nextCursor = null;
 
     console.log(`Searching for: "${searchQuery}", type: ${type}`);
 
@@ -50,15 +57,17 @@ router.get('/', async (req, res) => {
       const postQuery = { $or: postConditions };
       const postsLimit = type === 'posts' ? limitNum : 5;
 
-      const [posts, postTotal] = await Promise.all([
-        Post.find(postQuery)
+      const paged = type === 'posts';
+      const [found, postTotal] = await Promise.all([
+        Post.find(paged ? applyCursor(postQuery, POST_SORT, cursor) : postQuery)
           .populate('author', 'username')
-          .sort({ createdAt: -1 })
-          .skip(type === 'posts' ? skip : 0)
-          .limit(postsLimit)
+          .sort(POST_SORT)
+          .skip(paged ? skip : 0)
+          .limit(paged ? postsLimit + 1 : postsLimit)
           .lean(),
-        type === 'posts' ? Post.countDocuments(postQuery) : Promise.resolve(0)
+        paged && !cursor ? Post.countDocuments(postQuery) : Promise.resolve(undefined)
       ]);
+      const { items: posts, nextCursor: postCursor } = pageResult(found, POST_SORT, postsLimit);
 
       results.posts = posts.map(post => {
         const upvoteCount = post.upvotes?.length || 0;
@@ -83,6 +92,7 @@ router.get('/', async (req, res) => {
 
       if (type === 'posts') {
         totalCount = postTotal;
+        nextCursor = postCursor;
       }
     }
 
@@ -98,15 +108,17 @@ router.get('/', async (req, res) => {
         const communityQuery = { $or: communityConditions };
         const communityLimit = type === 'communities' ? limitNum : 5;
 
-        const [communities, communityTotal] = await Promise.all([
-          Community.find(communityQuery)
+        const paged = type === 'communities';
+        const [found, communityTotal] = await Promise.all([
+          Community.find(paged ? applyCursor(communityQuery, COMMUNITY_SORT, cursor) : communityQuery)
             .populate('createdBy', 'username')
-            .sort({ memberCount: -1 })
-            .skip(type === 'communities' ? skip : 0)
-            .limit(communityLimit)
+            .sort(COMMUNITY_SORT)
+            .skip(paged ? skip : 0)
+            .limit(paged ? communityLimit + 1 : communityLimit)
             .lean(),
-          type === 'communities' ? Community.countDocuments(communityQuery) : Promise.resolve(0)
+          paged && !cursor ? Community.countDocuments(communityQuery) : Promise.resolve(undefined)
         ]);
+        const { items: communities, nextCursor: communityCursor } = pageResult(found, COMMUNITY_SORT, communityLimit);
 
         results.communities = communities.map(community => ({
           _id: community._id,
@@ -122,8 +134,10 @@ router.get('/', async (req, res) => {
 
         if (type === 'communities') {
           totalCount = communityTotal;
+          nextCursor = communityCursor;
         }
       } catch (error) {
+        if (error instanceof CursorError) throw error;
         console.log('Community search not available:', error.message);
         results.communities = [];
       }
@@ -140,15 +154,17 @@ router.get('/', async (req, res) => {
 
       const userLimit = type === 'users' ? limitNum : 5;
 
-      const [users, userTotal] = await Promise.all([
-        User.find(userQuery)
+      const paged = type === 'users';
+      const [found, userTotal] = await Promise.all([
+        User.find(paged ? applyCursor(userQuery, USER_SORT, cursor) : userQuery)
           .select('username email karma bio createdAt socialLinks')
-          .sort({ karma: -1 })
-          .skip(type === 'users' ? skip : 0)
-          .limit(userLimit)
+          .sort(USER_SORT)
+          .skip(paged ? skip : 0)
+          .limit(paged ? userLimit + 1 : userLimit)
           .lean(),
-        type === 'users' ? User.countDocuments(userQuery) : Promise.resolve(0)
+        paged && !cursor ? User.countDocuments(userQuery) : Promise.resolve(undefined)
       ]);
+      const { items: users, nextCursor: userCursor } = pageResult(found, USER_SORT, userLimit);
 
       results.users = users.map(user => ({
         _id: user._id,
@@ -162,6 +178,7 @@ router.get('/', async (req, res) => {
 
       if (type === 'users') {
         totalCount = userTotal;
+        nextCursor = userCursor;
       }
     }
 
@@ -209,14 +226,18 @@ router.get('/', async (req, res) => {
       query: searchQuery,
       type: type,
       results: results,
+      nextCursor,
       total: totalCount,
-      page: type !== 'all' ? pageNum : 1,
-      totalPages: type !== 'all' ? Math.ceil(totalCount / limitNum) : 1
+      page: cursor ? undefined : (type !== 'all' ? pageNum : 1),
+      totalPages: cursor ? undefined : (type !== 'all' ? Math.ceil(totalCount / limitNum) : 1)
     };
 
     res.json(response);
 
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Search error:', error);
     res.status(500).json({
       success: false,
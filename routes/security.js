@@ -2,21 +2,22 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const SecurityLog = require('../models/SecurityLog');
-const rateLimit = require('express-rate-limit');
+const { createLimiter } = require('../utils/rateLimits');
+const { CursorError, applyCursor, pageResult } = require('../utils/pagination');
 
-// Rate limiting for security endpoints
-const securityRateLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  skip: (req) => req.user?.role === 'admin'
-});
+const LOG_SORT = { createdAt: -1, _id: -1 };
+
+// Rate limiting for security endpoints (per user; admins are exempt)
+const securityRateLimiter = createLimiter('security');
 
 router.use(auth.requireRole(['admin', 'security']));
 
 // Get security logs
 router.get('/logs', securityRateLimiter, async (req, res) => {
   try {
-    const { page = 1, limit = 50, eventType, userId, severity, startDate, endDate } = req.query;
+    const { page = 1, limit = 50, cursor, eventType, userId, severity, startDate, endDate } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
     
     const query = {};
     if (eventType) query.eventType = eventType;
@@ -28,24 +29,33 @@ router.get('/logs', securityRateLimiter, async (req, res) => {
       if (endDate) query.createdAt.$lte = new Date(endDate);
     }
     
-    const logs = await SecurityLog.find(query)
-      .sort('-createdAt')
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate('userId', 'username email');
+    // ?cursor= for stable paging; ?page= kept for older clients
+    const { items: logs, nextCursor } = pageResult(
+      await SecurityLog.find(applyCursor(query, LOG_SORT, cursor))
+        .sort(LOG_SORT)
+        .skip(cursor ? 0 : (pageNum - 1) * limitNum)
+        .limit(limitNum + 1)
+        .populate('userId', 'username email'),
+      LOG_SORT,
+      limitNum
+    );
     
-    const total = await SecurityLog.countDocuments(query);
+    const total = cursor ? undefined : await SecurityLog.countDocuments(query);
     
     res.json({
       logs,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: cursor ? undefined : pageNum,
+        limit: limitNum,
         total,
-        pages: Math.ceil(total / limit)
+        pages: cursor ? undefined : Math.ceil(total / limitNum),
+        nextCursor
       }
     });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -5,7 +5,7 @@ const auth = require('../middleware/auth');
 const Post = require('../models/Post');
 
 // Vote on post
-router.post('/:postId/:type', auth, async (req, res) => {
+router.post('/:postId/:type', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     const { postId, type } = req.params;
     const userId = req.user._id;
@@ -72,7 +72,7 @@ router.post('/:postId/:type', auth, async (req, res) => {
 const Comment = require('../models/Comment'); // Add this at the top
 
 // Vote on comment
-router.post('/comments/:commentId/:type', auth, async (req, res) => {
+router.post('/comments/:commentId/:type', auth, auth.requireVerifiedEmail('write'), async (req, res) => {
   try {
     const { commentId, type } = req.params;
     const userId = req.user._id;
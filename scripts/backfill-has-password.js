@@ -0,0 +1,90 @@
+// scripts/backfill-has-password.js
+// Accounts created before hasPassword existed read as having a password,
+// including social signups that only ever got a random one. Mark those as
+// passwordless so they can't unlink their last login method:
+//   node scripts/backfill-has-password.js
+//
+// Only accounts whose history settles it are rewritten. Google, GitHub and
+// Facebook links carry no date, so a social signup can't be told apart from
+// a password account linked by email match; those are listed for review and
+// keep the default until hasPassword is set by hand or by a password reset.
+// Safe to run more than once.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const SecurityLog = require('../models/SecurityLog');
+
+const SOCIAL_ID_FIELDS = ['googleId', 'githubId', 'facebookId'];
+// An identity linked this soon after signup was attached when the account
+// was created
+const SIGNUP_LINK_WINDOW_MS = 60 * 1000;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const missing = { hasPassword: { $exists: false } };
+  // A password changed since passwordChangedAt was tracked is a real one
+  const neverChanged = { passwordChangedAt: { $exists: false } };
+
+  // Registered through /register, so the password is their own
+  const registered = await SecurityLog.distinct('userId', { eventType: 'REGISTER' });
+  const withRegistration = await User.updateMany(
+    { ...missing, _id: { $in: registered } },
+    { $set: { hasPassword: true } }
+  );
+
+  const passwordless = await User.updateMany(
+    {
+      ...missing,
+      ...neverChanged,
+      $expr: {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ['$oauthIdentities', []] },
+            as: 'identity',
+            in: {
+              $and: [
+                { $eq: [{ $type: '$$identity.linkedAt' }, 'date'] },
+                { $lte: ['$$identity.linkedAt', { $add: ['$createdAt', SIGNUP_LINK_WINDOW_MS] }] }
+              ]
+            }
+          }
+        }]
+      }
+    },
+    { $set: { hasPassword: false } }
+  );
+
+  const undecided = {
+    ...neverChanged,
+    $or: SOCIAL_ID_FIELDS.map(field => ({ [field]: { $exists: true, $ne: null } }))
+  };
+  const review = await User.find({ ...missing, ...undecided })
+    .select(['username', 'email', 'createdAt', ...SOCIAL_ID_FIELDS].join(' '))
+    .lean();
+
+  // Everyone else signed up with a password; store it so the default no
+  // longer decides
+  const withPassword = await User.updateMany(
+    { ...missing, $nor: [undecided] },
+    { $set: { hasPassword: true } }
+  );
+
+  console.log(`✅ Marked ${passwordless.modifiedCount} accounts passwordless, ${withRegistration.modifiedCount + withPassword.modifiedCount} with a password`);
+
+  if (review.length) {
+    console.warn(`⚠️  ${review.length} social-linked accounts may or may not have their own password; left unchanged:`);
+    for (const user of review) {
+      const linked = SOCIAL_ID_FIELDS.filter(field => user[field]).join(', ');
+      console.warn(`   ${user._id} ${user.username} <${user.email}> created ${user.createdAt?.toISOString()} (${linked})`);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('❌ backfill-has-password failed:', err);
+  process.exit(1);
+});
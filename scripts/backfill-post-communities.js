@@ -0,0 +1,84 @@
+// scripts/backfill-post-communities.js
+// Link existing posts to Community documents by their subreddit name,
+// creating any community that only ever existed as a post's subreddit string.
+// Posts in NSFW communities are marked adult. Safe to run more than once:
+//   node scripts/backfill-post-communities.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/Post');
+const Community = require('../models/Community');
+
+const NAME_REGEX = /^[a-z0-9_]+$/;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const names = await Post.distinct('subreddit', { community: null });
+  let created = 0;
+  let linked = 0;
+  let markedAdult = 0;
+
+  for (const rawName of names) {
+    const name = (rawName || '').toLowerCase().trim();
+    if (!name) {
+      console.warn('⚠️  Skipping posts with an empty subreddit');
+      continue;
+    }
+
+    let community = await Community.findOne({ name });
+
+    if (!community) {
+      if (!NAME_REGEX.test(name)) {
+        console.warn(`⚠️  Creating "${name}", which doesn't meet the current naming rules`);
+      }
+
+      // The earliest poster stands in as creator and moderator, as if they
+      // had created it through POST /api/communities; everyone who posted joins
+      const first = await Post.findOne({ subreddit: rawName })
+        .sort({ createdAt: 1 })
+        .select('author createdAt')
+        .lean();
+      const authors = await Post.distinct('author', { subreddit: rawName });
+      if (!authors.some(author => String(author) === String(first.author))) {
+        authors.unshift(first.author);
+      }
+
+      community = await Community.create({
+        name,
+        displayName: name,
+        createdBy: first.author,
+        moderators: [first.author],
+        members: authors,
+        memberCount: authors.length,
+        createdAt: first.createdAt
+      });
+      created++;
+      console.log(`➕ Created community ${name} (${authors.length} members)`);
+    }
+
+    const result = await Post.updateMany(
+      { subreddit: rawName, community: null },
+      { $set: { community: community._id, subreddit: community.name } }
+    );
+    linked += result.modifiedCount;
+  }
+
+  // NSFW settings apply to everything posted in the community
+  const nsfwCommunities = await Community.find({ isNSFW: true }).select('_id').lean();
+  if (nsfwCommunities.length) {
+    const result = await Post.updateMany(
+      { community: { $in: nsfwCommunities.map(community => community._id) }, isAdult: { $ne: true } },
+      { $set: { isAdult: true } }
+    );
+    markedAdult = result.modifiedCount;
+  }
+
+  console.log(`✅ Linked ${linked} posts, created ${created} communities, marked ${markedAdult} posts adult`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('❌ backfill-post-communities failed:', err);
+  process.exit(1);
+});
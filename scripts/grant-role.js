@@ -0,0 +1,46 @@
+// scripts/grant-role.js
+// Bootstrap a site role from the command line (e.g. the first admin):
+//   node scripts/grant-role.js <username> <role>
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const SecurityLog = require('../models/SecurityLog');
+const { ROLES } = require('../utils/permissions');
+
+const run = async () => {
+  const [username, role] = process.argv.slice(2);
+
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/grant-role.js <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOne({ username });
+  if (!user) {
+    console.error(`❌ User not found: ${username}`);
+    process.exit(1);
+  }
+
+  const previousRole = user.role || 'user';
+  user.role = role;
+  await user.save();
+
+  await SecurityLog.create({
+    userId: user._id,
+    eventType: role === 'user' ? 'ROLE_REVOKED' : 'ROLE_GRANTED',
+    endpoint: 'scripts/grant-role.js',
+    severity: 'high',
+    metadata: { role, previousRole, changedBy: 'cli' }
+  });
+
+  console.log(`✅ ${username}: ${previousRole} -> ${role}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('❌ grant-role failed:', err);
+  process.exit(1);
+});
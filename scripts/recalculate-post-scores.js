@@ -0,0 +1,22 @@
+// scripts/recalculate-post-scores.js
+// Recompute stored hot/best/controversial scores for every post, e.g. after
+// first deploying ranking or changing its formulas:
+//   node scripts/recalculate-post-scores.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/Post');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const updated = await Post.recalculateScores();
+  console.log(`✅ Recalculated scores for ${updated} posts`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('❌ recalculate-post-scores failed:', err);
+  process.exit(1);
+});
@@ -2,7 +2,11 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const { createLimiter } = require('./utils/rateLimits');
+const { processDueDeletions } = require('./jobs/accountDeletion');
+const { processDataExports } = require('./jobs/dataExport');
+const { backfillDenormalizedNames } = require('./jobs/usernameBackfill');
 require('dotenv').config();
 
 // Routes
@@ -14,6 +18,8 @@ const notificationRoutes = require('./routes/notifications');
 const commentRoutes = require('./routes/comments');
 const testRoutes = require('./routes/test');
 const searchRoutes = require('./routes/search');
+const securityRoutes = require('./routes/security');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
@@ -105,31 +111,20 @@ app.use((req, res, next) => {
 });
 
 /* ---------------------------------------------------
-   BODY PARSER
+   BODY / COOKIE PARSER
 --------------------------------------------------- */
 app.use(express.json({ limit: '10kb' }));
+app.use(cookieParser());
 
 /* ---------------------------------------------------
    RATE LIMITING
 --------------------------------------------------- */
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Increased for testing
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req) => {
-    // Skip rate limiting for OPTIONS requests (preflight)
-    return req.method === 'OPTIONS';
-  }
-});
+// Limits are configured in utils/rateLimits.js
+const globalLimiter = createLimiter('global');
 
 app.use('/api/', globalLimiter);
 
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  skipSuccessfulRequests: true,
-});
+const authLimiter = createLimiter('auth');
 
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
@@ -145,6 +140,8 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/admin', adminRoutes);
 
 /* ---------------------------------------------------
    HEALTH CHECK
@@ -157,12 +154,37 @@ app.get('/health', (req, res) => {
   });
 });
 
+/* ---------------------------------------------------
+   BACKGROUND JOBS
+--------------------------------------------------- */
+const HOUR = 60 * 60 * 1000;
+
+const runJob = (name, job) => () => {
+  job().catch(err => console.error(`❌ ${name} job failed:`, err));
+};
+
+function startBackgroundJobs() {
+  const jobs = [
+    ['Account deletion', processDueDeletions, HOUR],
+    ['Data export', processDataExports, 5 * 60 * 1000],
+    ['Username backfill', backfillDenormalizedNames, 15 * 60 * 1000]
+  ];
+
+  for (const [name, job, interval] of jobs) {
+    runJob(name, job)();
+    setInterval(runJob(name, job), interval).unref();
+  }
+}
+
 /* ---------------------------------------------------
    DATABASE CONNECTION
 --------------------------------------------------- */
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    startBackgroundJobs();
+  })
   .catch((err) => {
     console.error('❌ MongoDB Error:', err);
     process.exit(1);
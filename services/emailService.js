@@ -258,6 +258,322 @@ const emailTemplates = {
       </div>
     </body>
     </html>
+  `,
+
+  // Account deletion scheduled email template
+  accountDeletionEmail: (username, scheduledFor, cancelLink) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff4500; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f9f9f9; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 30px; 
+          background-color: #ff4500; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          font-weight: bold; 
+          margin: 20px 0; 
+        }
+        .footer { 
+          margin-top: 30px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          font-size: 12px; 
+          color: #666; 
+        }
+        .warning { 
+          background-color: #fff3cd; 
+          border: 1px solid #ffeaa7; 
+          padding: 15px; 
+          border-radius: 4px; 
+          margin: 20px 0; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reddit Clone</h1>
+        </div>
+        <div class="content">
+          <h2>Your Account Is Scheduled for Deletion</h2>
+          <p>Hello ${username},</p>
+          <p>We received a request to delete your Reddit Clone account. It will be permanently deleted on <strong>${scheduledFor.toUTCString()}</strong>.</p>
+          <p>After that, your posts and comments will show as [deleted], and your votes, saved posts, community memberships and notifications will be removed. This cannot be undone.</p>
+          
+          <p>Changed your mind? Sign in and cancel the deletion before then:</p>
+          <div style="text-align: center;">
+            <a href="${cancelLink}" class="button">Keep My Account</a>
+          </div>
+          
+          <div class="warning">
+            <p><strong>⚠️ If you didn't request this,</strong> sign in, cancel the deletion and change your password right away.</p>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This is an automated email from Reddit Clone. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} Reddit Clone. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  // Account deletion confirmation email template (accounts without a password)
+  accountDeletionConfirmEmail: (username, confirmLink, minutes) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff4500; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f9f9f9; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 30px; 
+          background-color: #ff4500; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          font-weight: bold; 
+          margin: 20px 0; 
+        }
+        .footer { 
+          margin-top: 30px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          font-size: 12px; 
+          color: #666; 
+        }
+        .warning { 
+          background-color: #fff3cd; 
+          border: 1px solid #ffeaa7; 
+          padding: 15px; 
+          border-radius: 4px; 
+          margin: 20px 0; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reddit Clone</h1>
+        </div>
+        <div class="content">
+          <h2>Confirm Account Deletion</h2>
+          <p>Hello ${username},</p>
+          <p>We received a request to delete your Reddit Clone account. Since your account signs in through a linked social account, please confirm it's you:</p>
+          <div style="text-align: center;">
+            <a href="${confirmLink}" class="button">Confirm Deletion</a>
+          </div>
+          
+          <p>This link will expire in ${minutes} minutes. Your account will then be scheduled for deletion, and you can still cancel during the grace period.</p>
+          
+          <div class="warning">
+            <p><strong>⚠️ If you didn't request this,</strong> ignore this email and review your active sessions.</p>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This is an automated email from Reddit Clone. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} Reddit Clone. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  // Two-factor setup confirmation email template (accounts without a password)
+  twoFactorSetupConfirmEmail: (username, confirmLink, minutes) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff4500; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f9f9f9; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 30px; 
+          background-color: #ff4500; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          font-weight: bold; 
+          margin: 20px 0; 
+        }
+        .footer { 
+          margin-top: 30px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          font-size: 12px; 
+          color: #666; 
+        }
+        .warning { 
+          background-color: #fff3cd; 
+          border: 1px solid #ffeaa7; 
+          padding: 15px; 
+          border-radius: 4px; 
+          margin: 20px 0; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reddit Clone</h1>
+        </div>
+        <div class="content">
+          <h2>Confirm Two-Factor Setup</h2>
+          <p>Hello ${username},</p>
+          <p>We received a request to turn on two-factor authentication for your Reddit Clone account. Since your account signs in through a linked social account, please confirm it's you:</p>
+          <div style="text-align: center;">
+            <a href="${confirmLink}" class="button">Continue Setup</a>
+          </div>
+          
+          <p>This link will expire in ${minutes} minutes.</p>
+          
+          <div class="warning">
+            <p><strong>⚠️ If you didn't request this,</strong> someone may be signed in to your account. Review your active sessions right away.</p>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This is an automated email from Reddit Clone. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} Reddit Clone. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  // Data export ready email template
+  dataExportReadyEmail: (username, downloadLink, expiresAt) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff4500; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f9f9f9; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 30px; 
+          background-color: #ff4500; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          font-weight: bold; 
+          margin: 20px 0; 
+        }
+        .footer { 
+          margin-top: 30px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          font-size: 12px; 
+          color: #666; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reddit Clone</h1>
+        </div>
+        <div class="content">
+          <h2>Your Data Export Is Ready</h2>
+          <p>Hello ${username},</p>
+          <p>The copy of your Reddit Clone data you requested is ready. Sign in and download it from your account settings:</p>
+          
+          <div style="text-align: center;">
+            <a href="${downloadLink}" class="button">Download My Data</a>
+          </div>
+          
+          <p>The archive will be available until <strong>${expiresAt.toUTCString()}</strong>.</p>
+          
+          <p><em>If you didn't request this export, change your password and review your active sessions.</em></p>
+        </div>
+        <div class="footer">
+          <p>This is an automated email from Reddit Clone. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} Reddit Clone. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  // Magic sign-in link email template
+  magicLinkEmail: (username, loginLink, minutes) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #ff4500; color: white; padding: 20px; text-align: center; }
+        .content { padding: 30px 20px; background-color: #f9f9f9; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 30px; 
+          background-color: #ff4500; 
+          color: white; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          font-weight: bold; 
+          margin: 20px 0; 
+        }
+        .footer { 
+          margin-top: 30px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          font-size: 12px; 
+          color: #666; 
+        }
+        .warning { 
+          background-color: #fff3cd; 
+          border: 1px solid #ffeaa7; 
+          padding: 15px; 
+          border-radius: 4px; 
+          margin: 20px 0; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reddit Clone</h1>
+        </div>
+        <div class="content">
+          <h2>Your Sign-In Link</h2>
+          <p>Hello ${username},</p>
+          <p>Click the button below to sign in to your Reddit Clone account. No password needed:</p>
+          
+          <div style="text-align: center;">
+            <a href="${loginLink}" class="button">Sign In</a>
+          </div>
+          
+          <p>If the button above doesn't work, copy and paste this link into your browser:</p>
+          <p><a href="${loginLink}" style="word-break: break-all;">${loginLink}</a></p>
+          
+          <div class="warning">
+            <p><strong>⚠️ This link expires in ${minutes} minutes and can only be used once.</strong></p>
+            <p>If you didn't ask to sign in, you can ignore this email. Nobody can sign in without the link.</p>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This is an automated email from Reddit Clone. Please do not reply to this email.</p>
+          <p>© ${new Date().getFullYear()} Reddit Clone. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
   `
 };
 
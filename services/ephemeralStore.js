@@ -0,0 +1,103 @@
+// services/ephemeralStore.js
+const { getRedisClient } = require('./redisClient');
+
+// Short-lived per-client state (anti-abuse timings, counters, used
+// challenges). Lives in Redis when REDIS_URL is set so every instance sees
+// it; otherwise, or while Redis is down, in a bounded in-process map.
+const MAX_LOCAL_KEYS = 50000;
+const local = new Map();
+
+const readyClient = () => {
+  const client = getRedisClient();
+  return client && client.status === 'ready' ? client : null;
+};
+
+const localGet = (key) => {
+  const entry = local.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    local.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const localSet = (key, value, ttlMs) => {
+  // Maps iterate in insertion order, so this drops the oldest entry
+  if (local.size >= MAX_LOCAL_KEYS && !local.has(key)) {
+    local.delete(local.keys().next().value);
+  }
+  local.set(key, { value, expiresAt: Date.now() + ttlMs });
+};
+
+const withFallback = async (redisOp, localOp) => {
+  const client = readyClient();
+  if (client) {
+    try {
+      return await redisOp(client);
+    } catch (error) {
+      console.error('Ephemeral store error, using memory:', error.message);
+    }
+  }
+  return localOp();
+};
+
+// Store `value` under `key` and return what was there before (or null)
+const swap = (key, value, ttlMs) => withFallback(
+  async (client) => {
+    const [[, previous]] = await client.multi()
+      .getset(key, String(value))
+      .pexpire(key, ttlMs)
+      .exec();
+    return previous;
+  },
+  () => {
+    const previous = localGet(key);
+    localSet(key, String(value), ttlMs);
+    return previous;
+  }
+);
+
+// Count an event; the window starts with the first hit
+const INCREMENT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if redis.call('PTTL', KEYS[1]) < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  return count
+`;
+
+const increment = (key, ttlMs) => withFallback(
+  (client) => client.eval(INCREMENT_SCRIPT, 1, key, ttlMs),
+  () => {
+    const entry = local.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      localSet(key, 1, ttlMs);
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  }
+);
+
+const get = (key) => withFallback(
+  (client) => client.get(key),
+  () => localGet(key)
+);
+
+// Set only if the key is new; true when this call claimed it
+const claim = (key, ttlMs) => withFallback(
+  async (client) => (await client.set(key, '1', 'PX', ttlMs, 'NX')) === 'OK',
+  () => {
+    if (localGet(key) !== null) return false;
+    localSet(key, '1', ttlMs);
+    return true;
+  }
+);
+
+module.exports = {
+  swap,
+  increment,
+  get,
+  claim
+};
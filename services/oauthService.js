@@ -0,0 +1,384 @@
+// services/oauthService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const STATE_TTL_SECONDS = 10 * 60;
+
+// Names that would shadow existing /api/auth routes
+const RESERVED_NAMES = [
+  'me', 'login', 'logout', 'register', 'refresh', 'revoke', 'sessions', 'verify',
+  '2fa', 'profile', 'update', 'link', 'unlink', 'identities', 'providers',
+  'settings', 'forgot-password', 'reset-password', 'check-username', 'check-email',
+  'verify-age', 'account', 'password-strength', 'export',
+  'appeal', 'magic-link', 'challenge', 'follow', 'following'
+];
+
+const apiUrl = () => process.env.API_URL || 'https://whitepage-backend.onrender.com';
+
+// Built-in providers. Each endpoint can be overridden with
+// <PREFIX>_<KEY>_URL (e.g. GOOGLE_TOKEN_URL) so tests can point the token
+// exchange at a local stand-in.
+const builtInProviders = {
+  google: {
+    label: 'Google',
+    envPrefix: 'GOOGLE',
+    scope: 'profile email',
+    pkce: true,
+    userField: 'googleId',
+    endpoints: {
+      authorize: 'https://accounts.google.com/o/oauth2/v2/auth',
+      token: 'https://oauth2.googleapis.com/token',
+      userInfo: 'https://www.googleapis.com/oauth2/v2/userinfo'
+    },
+    authParams: { access_type: 'offline', prompt: 'consent' },
+    normalizeProfile: (info) => ({
+      id: info.id,
+      email: info.email,
+      emailVerified: info.verified_email || false,
+      name: info.name,
+      username: info.name,
+      picture: info.picture
+    })
+  },
+  github: {
+    label: 'GitHub',
+    envPrefix: 'GITHUB',
+    scope: 'user:email',
+    // GitHub OAuth apps don't reliably honour code_challenge, so rely on state
+    pkce: false,
+    userField: 'githubId',
+    endpoints: {
+      authorize: 'https://github.com/login/oauth/authorize',
+      token: 'https://github.com/login/oauth/access_token',
+      userInfo: 'https://api.github.com/user',
+      emails: 'https://api.github.com/user/emails'
+    },
+    headers: { 'User-Agent': 'Whitepage-App' },
+    normalizeProfile: (info, emails = []) => {
+      const primary = emails.find(email => email.primary && email.verified);
+      return {
+        id: info.id?.toString(),
+        email: primary?.email || emails[0]?.email,
+        emailVerified: !!primary,
+        name: info.name,
+        username: info.login,
+        picture: info.avatar_url
+      };
+    }
+  },
+  facebook: {
+    label: 'Facebook',
+    envPrefix: 'FACEBOOK',
+    scope: 'email',
+    pkce: true,
+    userField: 'facebookId',
+    endpoints: {
+      authorize: 'https://www.facebook.com/v17.0/dialog/oauth',
+      token: 'https://graph.facebook.com/v17.0/oauth/access_token',
+      userInfo: 'https://graph.facebook.com/v17.0/me?fields=id,name,email,picture'
+    },
+    normalizeProfile: (info) => ({
+      id: info.id,
+      email: info.email,
+      // Facebook only returns confirmed addresses
+      emailVerified: !!info.email,
+      name: info.name,
+      username: info.name,
+      picture: info.picture?.data?.url
+    })
+  }
+};
+
+// Standard OIDC claims
+const normalizeOidcProfile = (info) => ({
+  id: info.sub,
+  email: info.email,
+  emailVerified: info.email_verified === true || info.email_verified === 'true',
+  name: info.name,
+  username: info.preferred_username || info.nickname || info.name,
+  picture: info.picture
+});
+
+// Generic OIDC issuers come from OAUTH_OIDC_PROVIDERS, a JSON array of
+// { name, label, issuer, clientId, clientSecret, scope?, pkce?, callbackUrl?,
+//   authorizationEndpoint?, tokenEndpoint?, userinfoEndpoint? }.
+// Endpoints not given explicitly are read from the issuer's discovery document.
+const loadOidcProviders = () => {
+  if (!process.env.OAUTH_OIDC_PROVIDERS) return {};
+
+  let configs;
+  try {
+    configs = JSON.parse(process.env.OAUTH_OIDC_PROVIDERS);
+  } catch (error) {
+    console.error('❌ OAUTH_OIDC_PROVIDERS is not valid JSON:', error.message);
+    return {};
+  }
+
+  const providers = {};
+  for (const config of Array.isArray(configs) ? configs : []) {
+    const name = String(config.name || '').toLowerCase();
+
+    if (!/^[a-z0-9_-]+$/.test(name) || builtInProviders[name] || RESERVED_NAMES.includes(name)) {
+      console.error(`❌ Skipping OIDC provider with invalid or reserved name: "${config.name}"`);
+      continue;
+    }
+
+    if (!config.issuer || !config.clientId || !config.clientSecret) {
+      console.error(`❌ Skipping OIDC provider "${name}": issuer, clientId and clientSecret are required`);
+      continue;
+    }
+
+    providers[name] = {
+      label: config.label || name,
+      oidc: true,
+      issuer: config.issuer.replace(/\/+$/, ''),
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      callbackUrl: config.callbackUrl,
+      scope: config.scope || 'openid email profile',
+      pkce: config.pkce !== false,
+      endpoints: {
+        authorize: config.authorizationEndpoint,
+        token: config.tokenEndpoint,
+        userInfo: config.userinfoEndpoint
+      },
+      normalizeProfile: normalizeOidcProfile
+    };
+  }
+
+  return providers;
+};
+
+const oidcProviders = loadOidcProviders();
+
+const definitionFor = (name) => {
+  if (Object.prototype.hasOwnProperty.call(builtInProviders, name)) return builtInProviders[name];
+  if (Object.prototype.hasOwnProperty.call(oidcProviders, name)) return oidcProviders[name];
+  return null;
+};
+
+const getProvider = (name) => {
+  const definition = definitionFor(name);
+  if (!definition) return null;
+
+  const prefix = definition.envPrefix;
+  const endpoints = { ...definition.endpoints };
+  if (prefix) {
+    endpoints.authorize = process.env[`${prefix}_AUTHORIZE_URL`] || endpoints.authorize;
+    endpoints.token = process.env[`${prefix}_TOKEN_URL`] || endpoints.token;
+    endpoints.userInfo = process.env[`${prefix}_USERINFO_URL`] || endpoints.userInfo;
+    if (endpoints.emails) {
+      endpoints.emails = process.env[`${prefix}_EMAILS_URL`] || endpoints.emails;
+    }
+  }
+
+  return {
+    name,
+    ...definition,
+    endpoints,
+    clientId: prefix ? process.env[`${prefix}_CLIENT_ID`] : definition.clientId,
+    clientSecret: prefix ? process.env[`${prefix}_CLIENT_SECRET`] : definition.clientSecret,
+    redirectUri: (prefix ? process.env[`${prefix}_CALLBACK_URL`] : definition.callbackUrl) ||
+      `${apiUrl()}/api/auth/${name}/callback`
+  };
+};
+
+const providerNames = () => [...Object.keys(builtInProviders), ...Object.keys(oidcProviders)];
+
+const isConfigured = (provider) => !!(provider && provider.clientId && provider.clientSecret);
+
+// Configured providers, for the login screen
+const listProviders = () => providerNames()
+  .map(getProvider)
+  .filter(isConfigured)
+  .map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    url: `/api/auth/${provider.name}`
+  }));
+
+// Discovery documents rarely change; cache them per issuer
+const discoveryCache = new Map();
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+const resolveEndpoints = async (provider) => {
+  const { endpoints } = provider;
+  if (!provider.oidc || (endpoints.authorize && endpoints.token && endpoints.userInfo)) {
+    return endpoints;
+  }
+
+  let cached = discoveryCache.get(provider.issuer);
+  if (!cached || cached.fetchedAt < Date.now() - DISCOVERY_TTL) {
+    const response = await fetch(`${provider.issuer}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed for ${provider.name}: HTTP ${response.status}`);
+    }
+    cached = { document: await response.json(), fetchedAt: Date.now() };
+    discoveryCache.set(provider.issuer, cached);
+  }
+
+  return {
+    authorize: endpoints.authorize || cached.document.authorization_endpoint,
+    token: endpoints.token || cached.document.token_endpoint,
+    userInfo: endpoints.userInfo || cached.document.userinfo_endpoint
+  };
+};
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const stateCookieName = (providerName) => `oauth_${providerName}`;
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax so the cookie survives the top-level redirect back from the provider
+  sameSite: 'lax',
+  path: '/api/auth',
+  maxAge: STATE_TTL_SECONDS * 1000
+});
+
+// Start a flow: returns a signed, expiring `state` and the PKCE challenge,
+// and binds the flow to this browser with an httpOnly cookie holding the
+// nonce and code verifier. `extra` claims ride along in the signed state.
+const createState = (res, provider, extra = {}) => {
+  const nonce = base64url(crypto.randomBytes(16));
+  const codeVerifier = provider.pkce ? base64url(crypto.randomBytes(32)) : undefined;
+
+  const state = jwt.sign(
+    { ...extra, provider: provider.name, nonce, purpose: 'oauth_state' },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS }
+  );
+
+  res.cookie(
+    stateCookieName(provider.name),
+    JSON.stringify({ nonce, codeVerifier }),
+    stateCookieOptions()
+  );
+
+  const codeChallenge = codeVerifier
+    ? base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+    : undefined;
+
+  return { state, codeChallenge };
+};
+
+// Check the callback's state against the signed value and this browser's
+// cookie. Returns the state claims plus the code verifier, or null.
+const verifyState = (req, res, provider) => {
+  const cookieName = stateCookieName(provider.name);
+  const rawCookie = req.cookies?.[cookieName];
+  const { maxAge, ...clearOptions } = stateCookieOptions();
+  res.clearCookie(cookieName, clearOptions);
+
+  if (!req.query.state || !rawCookie) return null;
+
+  let claims;
+  let cookie;
+  try {
+    claims = jwt.verify(req.query.state, process.env.JWT_SECRET);
+    cookie = JSON.parse(rawCookie);
+  } catch (error) {
+    return null;
+  }
+
+  if (claims.purpose !== 'oauth_state' || claims.provider !== provider.name) {
+    return null;
+  }
+
+  const expected = Buffer.from(claims.nonce || '');
+  const actual = Buffer.from(String(cookie.nonce || ''));
+  if (expected.length === 0 || expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { ...claims, codeVerifier: cookie.codeVerifier };
+};
+
+const buildAuthorizeUrl = async (provider, { state, codeChallenge }) => {
+  const endpoints = await resolveEndpoints(provider);
+
+  const params = new URLSearchParams({
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    response_type: 'code',
+    scope: provider.scope,
+    state,
+    ...(provider.authParams || {})
+  });
+
+  if (codeChallenge) {
+    params.set('code_challenge', codeChallenge);
+    params.set('code_challenge_method', 'S256');
+  }
+
+  return `${endpoints.authorize}?${params}`;
+};
+
+// Exchange an authorization code for the provider's token response
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const endpoints = await resolveEndpoints(provider);
+
+  const body = new URLSearchParams({
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret,
+    code,
+    redirect_uri: provider.redirectUri,
+    grant_type: 'authorization_code'
+  });
+
+  if (codeVerifier) {
+    body.set('code_verifier', codeVerifier);
+  }
+
+  const response = await fetch(endpoints.token, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body
+  });
+
+  return await response.json();
+};
+
+// Fetch and normalize the signed-in user's profile
+const fetchProfile = async (provider, accessToken) => {
+  const endpoints = await resolveEndpoints(provider);
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'Accept': 'application/json',
+    ...(provider.headers || {})
+  };
+
+  const userResponse = await fetch(endpoints.userInfo, { headers });
+  const info = await userResponse.json();
+
+  let emails;
+  if (endpoints.emails) {
+    const emailResponse = await fetch(endpoints.emails, { headers });
+    emails = await emailResponse.json();
+  }
+
+  return {
+    raw: info,
+    ...provider.normalizeProfile(info, Array.isArray(emails) ? emails : [])
+  };
+};
+
+module.exports = {
+  getProvider,
+  providerNames,
+  listProviders,
+  isConfigured,
+  createState,
+  verifyState,
+  buildAuthorizeUrl,
+  exchangeCode,
+  fetchProfile
+};
@@ -0,0 +1,30 @@
+// services/redisClient.js
+const Redis = require('ioredis');
+
+let client = null;
+
+// Shared connection, created on first use. Returns null when REDIS_URL is
+// not set so callers can fall back to in-process state.
+const getRedisClient = () => {
+  if (!process.env.REDIS_URL) return null;
+  if (client) return client;
+
+  client = new Redis(process.env.REDIS_URL, {
+    // Fail fast instead of queueing commands while disconnected; callers
+    // have a fallback and a stalled request is worse than a local count
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1
+  });
+
+  client.on('ready', () => console.log('✅ Redis Connected'));
+  client.on('error', (err) => console.error('❌ Redis Error:', err.message));
+
+  return client;
+};
+
+const isRedisReady = () => !!client && client.status === 'ready';
+
+module.exports = {
+  getRedisClient,
+  isRedisReady
+};
@@ -0,0 +1,42 @@
+// services/securityLogService.js
+const SecurityLog = require('../models/SecurityLog');
+
+// Record a security event with the request context. Never throws, so a
+// logging failure can't break the request that triggered it.
+const logSecurityEvent = async (req, eventType, { userId, severity = 'low', metadata } = {}) => {
+  try {
+    await SecurityLog.create({
+      userId: userId || req?.user?._id,
+      eventType,
+      ipAddress: req?.ip,
+      userAgent: req?.get('User-Agent'),
+      endpoint: req?.originalUrl,
+      method: req?.method,
+      metadata,
+      severity
+    });
+  } catch (error) {
+    console.error('Security log error:', error);
+  }
+};
+
+// express-rate-limit handler that records the hit, then responds the way
+// the default handler would. Only the first rejection per key per window is
+// logged, so a flood doesn't turn into a database insert per request.
+const rateLimitHandler = (limiter) => (req, res, next, options) => {
+  const { limit, current, resetTime } = req.rateLimit || {};
+
+  if (!limit || current === limit + 1) {
+    logSecurityEvent(req, 'RATE_LIMIT_EXCEEDED', {
+      severity: 'medium',
+      metadata: { limiter, limit, resetTime }
+    });
+  }
+
+  res.status(options.statusCode).send(options.message);
+};
+
+module.exports = {
+  logSecurityEvent,
+  rateLimitHandler
+};
@@ -0,0 +1,171 @@
+// services/socialAccountService.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const oauthService = require('./oauthService');
+const usernameService = require('./usernameService');
+
+// Built-in providers keep their legacy <name>Id field; any other provider
+// (generic OIDC issuers) is stored in user.oauthIdentities
+const identityQuery = (provider, providerId) => (
+  provider.userField
+    ? { [provider.userField]: providerId }
+    : { oauthIdentities: { $elemMatch: { provider: provider.name, providerId } } }
+);
+
+const hasIdentity = (user, provider) => (
+  provider.userField
+    ? !!user[provider.userField]
+    : (user.oauthIdentities || []).some(identity => identity.provider === provider.name)
+);
+
+const attachIdentity = (user, provider, profile) => {
+  if (provider.userField) {
+    user[provider.userField] = profile.id;
+  } else {
+    user.oauthIdentities.push({
+      provider: provider.name,
+      providerId: profile.id,
+      email: profile.email
+    });
+  }
+};
+
+const detachIdentity = (user, provider) => {
+  if (provider.userField) {
+    user[provider.userField] = undefined;
+  } else {
+    user.oauthIdentities = (user.oauthIdentities || [])
+      .filter(identity => identity.provider !== provider.name);
+  }
+};
+
+const findUserByIdentity = (provider, providerId) => (
+  User.findOne(identityQuery(provider, providerId))
+);
+
+// Linked providers, from the registry so stale or unknown fields never show
+const listIdentities = (user) => oauthService.providerNames()
+  .map(oauthService.getProvider)
+  .filter(provider => hasIdentity(user, provider))
+  .map(provider => {
+    const identity = provider.userField
+      ? null
+      : user.oauthIdentities.find(entry => entry.provider === provider.name);
+    return {
+      provider: provider.name,
+      label: provider.label,
+      email: identity?.email,
+      linkedAt: identity?.linkedAt
+    };
+  });
+
+// Ways the user can still sign in: their password plus each linked provider
+const countLoginMethods = (user) => (
+  (user.hasPassword !== false ? 1 : 0) + listIdentities(user).length
+);
+
+// Turn a provider display name / login into a free, valid username
+// (3-20 chars of letters, numbers and underscores)
+const generateUsername = async (profile) => {
+  const candidates = [profile.username, profile.email?.split('@')[0], 'user'];
+  let base = candidates
+    .map(value => String(value || '').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, ''))
+    .find(value => value.length >= 3) || 'user';
+  base = base.slice(0, 15);
+
+  const isFree = async (username) => (
+    !(await User.exists({ username })) && !(await usernameService.isReserved(username))
+  );
+
+  if (await isFree(base)) return base;
+
+  for (let counter = 1; counter < 100; counter++) {
+    const username = `${base}_${counter}`.slice(0, 20);
+    if (await isFree(username)) return username;
+  }
+
+  return `${base.slice(0, 11)}_${crypto.randomBytes(4).toString('hex')}`;
+};
+
+class SocialAccountError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SocialAccountError';
+    this.code = code;
+  }
+}
+
+// Resolve the local account for a provider profile:
+//  - a user already holding this identity signs straight in
+//  - otherwise a user with the same email gets the identity linked, but only
+//    when the provider vouches for that email
+//  - otherwise a new account is created
+const findOrCreateUser = async (provider, profile) => {
+  let user = await findUserByIdentity(provider, profile.id);
+  if (user) {
+    return { user, created: false, linked: false };
+  }
+
+  if (!profile.email) {
+    throw new SocialAccountError('EMAIL_REQUIRED', `${provider.label} did not share an email address`);
+  }
+
+  user = await User.findOne({ email: profile.email.toLowerCase() });
+  if (user) {
+    // An unverified provider email would let anyone claim an existing account
+    if (!profile.emailVerified) {
+      throw new SocialAccountError('ACCOUNT_EXISTS', 'An account with this email already exists');
+    }
+
+    attachIdentity(user, provider, profile);
+    await user.save();
+    return { user, created: false, linked: true };
+  }
+
+  user = new User({
+    email: profile.email,
+    emailVerified: !!profile.emailVerified,
+    username: await generateUsername(profile),
+    profilePicture: profile.picture || '',
+    password: crypto.randomBytes(16).toString('hex'), // Random password for social login
+    hasPassword: false
+  });
+  attachIdentity(user, provider, profile);
+  await user.save();
+
+  return { user, created: true, linked: false };
+};
+
+// Attach a provider identity to a signed-in user after a completed OAuth
+// round trip. The identity must not already belong to another account.
+const linkToUser = async (user, provider, profile) => {
+  const owner = await findUserByIdentity(provider, profile.id);
+  if (owner && !owner._id.equals(user._id)) {
+    throw new SocialAccountError('IDENTITY_IN_USE', `This ${provider.label} account is linked to another user`);
+  }
+  if (owner) {
+    return user;
+  }
+
+  if (hasIdentity(user, provider)) {
+    throw new SocialAccountError('ALREADY_LINKED', `A different ${provider.label} account is already linked`);
+  }
+
+  attachIdentity(user, provider, profile);
+  await user.save();
+  return user;
+};
+
+module.exports = {
+  SocialAccountError,
+  identityQuery,
+  hasIdentity,
+  attachIdentity,
+  detachIdentity,
+  findUserByIdentity,
+  listIdentities,
+  countLoginMethods,
+  generateUsername,
+  findOrCreateUser,
+  linkToUser
+};
@@ -0,0 +1,208 @@
+// services/tokenService.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // Only write lastSeenAt once a minute
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Build an error the routes can map straight to a response
+const tokenError = (message, code) => {
+  const error = new Error(message);
+  error.name = 'RefreshTokenError';
+  error.code = code;
+  error.status = 401;
+  return error;
+};
+
+// Short-lived JWT sent as the Bearer token, bound to a session
+const signAccessToken = (user, sessionId) => {
+  const payload = { userId: user._id };
+  if (sessionId) payload.sid = sessionId.toString();
+
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const createRefreshToken = async (userId, family, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    user: userId,
+    family,
+    createdByIp: req?.ip,
+    userAgent: req?.get('User-Agent'),
+    expiresAt: refreshExpiry()
+  });
+
+  return refreshToken;
+};
+
+// Issue an access/refresh pair for a fresh login. Each login is a new
+// session, and the session id doubles as the refresh token family.
+const issueTokens = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    ipAddress: req?.ip,
+    userAgent: req?.get('User-Agent'),
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = await createRefreshToken(user._id, session._id.toString(), req);
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated
+// token means it was stolen, so the whole family is revoked. The token is
+// claimed atomically, so two concurrent refreshes can't both rotate it.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!existing) {
+    // Work out why the claim failed
+    const token = await RefreshToken.findOne({ tokenHash });
+
+    if (!token) {
+      throw tokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (token.revokedAt) {
+      if (token.revokedReason === 'rotated') {
+        await revokeFamily(token.family, 'reuse_detected');
+        const error = tokenError('Refresh token reuse detected. Please login again.', 'REFRESH_TOKEN_REUSED');
+        error.userId = token.user;
+        throw error;
+      }
+      throw tokenError('Session has been signed out. Please login again.', 'SESSION_REVOKED');
+    }
+
+    throw tokenError('Refresh token has expired. Please login again.', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const session = await Session.findById(existing.family);
+  if (!session || !session.isActive()) {
+    throw tokenError('Session has been signed out. Please login again.', 'SESSION_REVOKED');
+  }
+
+  const nextRefreshToken = await createRefreshToken(existing.user, existing.family, req);
+  await RefreshToken.updateOne({ _id: existing._id }, { replacedBy: hashToken(nextRefreshToken) });
+
+  session.lastSeenAt = new Date();
+  session.ipAddress = req?.ip || session.ipAddress;
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  return {
+    userId: existing.user,
+    token: signAccessToken({ _id: existing.user }, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke a session together with every refresh token issued under it
+const revokeFamily = async (family, reason = 'revoked') => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await Session.updateOne(
+    { _id: family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke the family a refresh token belongs to (used on logout)
+const revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (existing) {
+    await revokeFamily(existing.family, reason);
+  }
+};
+
+// Revoke one of a user's sessions; returns false if it isn't theirs
+const revokeSession = async (userId, sessionId, reason = 'signed_out_remotely') => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  if (!session) return false;
+
+  await revokeFamily(session._id.toString(), reason);
+  return true;
+};
+
+// Revoke every session for a user, optionally keeping the current one
+const revokeAllForUser = async (userId, reason = 'revoked', exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(query).select('_id');
+  const families = sessions.map(session => session._id.toString());
+
+  const tokenQuery = { user: userId, revokedAt: null };
+  if (exceptSessionId) tokenQuery.family = { $ne: exceptSessionId.toString() };
+
+  await RefreshToken.updateMany(tokenQuery, { revokedAt: new Date(), revokedReason: reason });
+  await Session.updateMany(
+    { _id: { $in: families } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return families.length;
+};
+
+const getActiveSessions = async (userId) => {
+  return await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+// Load the session behind an access token and bump its last-seen time
+const touchSession = async (sessionId, req) => {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL) {
+    session.lastSeenAt = new Date();
+    session.ipAddress = req.ip || session.ipAddress;
+    await session.save();
+  }
+
+  return session;
+};
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllForUser,
+  getActiveSessions,
+  touchSession
+};
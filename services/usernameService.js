@@ -0,0 +1,89 @@
+// services/usernameService.js
+const User = require('../models/User');
+const UsernameHistory = require('../models/UsernameHistory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const cooldownDays = () => parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS, 10) || 30;
+const reservationDays = () => parseInt(process.env.USERNAME_RESERVATION_DAYS, 10) || 90;
+
+// Is `username` still reserved for the account that released it?
+// The previous owner may always take their old name back.
+const isReserved = async (username, exceptUserId) => {
+  const query = {
+    usernameLower: username.toLowerCase(),
+    reservedUntil: { $gt: new Date() }
+  };
+  if (exceptUserId) {
+    query.user = { $ne: exceptUserId };
+  }
+  return !!(await UsernameHistory.exists(query));
+};
+
+// Check the cooldown and reservation rules for a rename. Uniqueness and
+// format are checked by the caller as for any username.
+const checkUsernameChange = async (user, newUsername) => {
+  const lastChange = await UsernameHistory.findOne({ user: user._id })
+    .sort({ changedAt: -1 })
+    .select('changedAt');
+
+  if (lastChange) {
+    const nextChangeAt = new Date(lastChange.changedAt.getTime() + cooldownDays() * DAY);
+    if (nextChangeAt > Date.now()) {
+      return {
+        allowed: false,
+        status: 429,
+        error: `You can change your username once every ${cooldownDays()} days`,
+        code: 'USERNAME_CHANGE_COOLDOWN',
+        nextChangeAt
+      };
+    }
+  }
+
+  if (await isReserved(newUsername, user._id)) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'This username was recently used by another account and is not available yet',
+      code: 'USERNAME_RESERVED'
+    };
+  }
+
+  return { allowed: true };
+};
+
+const recordUsernameChange = (user, previousUsername) => UsernameHistory.create({
+  user: user._id,
+  username: previousUsername,
+  usernameLower: previousUsername.toLowerCase(),
+  changedAt: new Date(),
+  reservedUntil: new Date(Date.now() + reservationDays() * DAY)
+});
+
+// Resolve a handle to the user currently behind it. Current usernames win;
+// otherwise the most recent owner of the old name is returned along with
+// `resolvedFrom` so callers can point clients at the canonical name.
+const findUserByHandle = async (handle, select) => {
+  let query = User.findOne({ username: handle });
+  if (select) query = query.select(select);
+  const user = await query;
+  if (user) return { user, resolvedFrom: null };
+
+  const previous = await UsernameHistory.findOne({ usernameLower: handle.toLowerCase() })
+    .sort({ changedAt: -1 })
+    .select('user');
+  if (!previous) return { user: null, resolvedFrom: null };
+
+  let historyQuery = User.findById(previous.user);
+  if (select) historyQuery = historyQuery.select(select);
+  const renamedUser = await historyQuery;
+
+  return { user: renamedUser, resolvedFrom: renamedUser ? handle : null };
+};
+
+module.exports = {
+  isReserved,
+  checkUsernameChange,
+  recordUsernameChange,
+  findUserByHandle
+};
@@ -0,0 +1,140 @@
+// tests/accountDeletion.test.js
+// purgeUser against in-memory stand-ins for the models. The notification
+// store enforces the same unique index as models/Notification.js, where a
+// missing field is indexed as null.
+
+const UNIQUE_KEY = ['user', 'type', 'sender', 'post', 'comment'];
+
+const mockNotifications = {
+  docs: [],
+
+  matches(doc, filter) {
+    return Object.entries(filter).every(([field, value]) => String(doc[field]) === String(value));
+  },
+
+  assertUnique() {
+    const seen = new Set();
+    for (const doc of this.docs) {
+      const key = UNIQUE_KEY.map(field => String(doc[field] ?? null)).join('|');
+      if (seen.has(key)) {
+        const error = new Error(`E11000 duplicate key error: ${key}`);
+        error.code = 11000;
+        throw error;
+      }
+      seen.add(key);
+    }
+  },
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !this.matches(doc, filter));
+    return { deletedCount: before - this.docs.length };
+  },
+
+  async updateMany(filter, update) {
+    const next = this.docs.map((doc) => {
+      if (!this.matches(doc, filter)) return doc;
+      const updated = { ...doc, ...(update.$set || {}) };
+      Object.keys(update.$unset || {}).forEach(field => delete updated[field]);
+      return updated;
+    });
+    const previous = this.docs;
+    this.docs = next;
+    try {
+      this.assertUnique();
+    } catch (error) {
+      this.docs = previous;
+      throw error;
+    }
+    return { modifiedCount: next.filter((doc, i) => doc !== previous[i]).length };
+  }
+};
+
+const mockUsers = {
+  docs: new Map(),
+
+  // Mirrors the query chain purgeUser uses: findOneAndUpdate().select().lean()
+  findOneAndUpdate(filter, update) {
+    const doc = this.docs.get(String(filter._id));
+    const before = doc ? { ...doc } : null;
+    if (doc) Object.assign(doc, update.$set);
+    const query = { select: () => query, lean: async () => before };
+    return query;
+  },
+
+  async updateMany(filter, update) {
+    let modifiedCount = 0;
+    for (const doc of this.docs.values()) {
+      if (filter._id && !filter._id.$in.map(String).includes(String(doc._id))) continue;
+      if (filter.following && !doc.following.map(String).includes(String(filter.following))) continue;
+      if (update.$inc) doc.followerCount += update.$inc.followerCount;
+      if (update.$pull) doc.following = doc.following.filter(id => String(id) !== String(update.$pull.following));
+      modifiedCount++;
+    }
+    return { modifiedCount };
+  },
+
+  async deleteOne(filter) {
+    this.docs.delete(String(filter._id));
+  }
+};
+
+const mockModel = () => ({
+  updateMany: jest.fn(async () => ({})),
+  deleteMany: jest.fn(async () => ({})),
+  distinct: jest.fn(async () => []),
+  recalculateScores: jest.fn(async () => 0)
+});
+
+jest.mock('../models/User', () => mockUsers);
+jest.mock('../models/Notification', () => mockNotifications);
+jest.mock('../models/Post', () => mockModel());
+jest.mock('../models/Comment', () => mockModel());
+jest.mock('../models/Community', () => mockModel());
+jest.mock('../models/Session', () => mockModel());
+jest.mock('../models/RefreshToken', () => mockModel());
+jest.mock('../models/UsernameHistory', () => mockModel());
+jest.mock('../models/SeenPost', () => mockModel());
+jest.mock('../jobs/dataExport', () => ({ removeExportsForUser: jest.fn(async () => {}) }));
+jest.mock('../services/securityLogService', () => ({ logSecurityEvent: jest.fn(async () => {}) }));
+
+const { purgeUser } = require('../jobs/accountDeletion');
+
+describe('purgeUser', () => {
+  beforeEach(() => {
+    mockUsers.docs = new Map(['alice', 'bob', 'carol'].map(id => [
+      id,
+      { _id: id, following: id === 'carol' ? [] : ['carol'], followerCount: id === 'carol' ? 2 : 0 }
+    ]));
+
+    // Alice and Bob both upvoted Carol's post and both followed her
+    mockNotifications.docs = ['alice', 'bob'].flatMap(sender => [
+      { user: 'carol', type: 'upvote', sender, post: 'post1', comment: null },
+      { user: 'carol', type: 'new_follower', sender }
+    ]);
+  });
+
+  it('purges two users who sent the same notifications to the same recipient', async () => {
+    await purgeUser('alice');
+    await purgeUser('bob');
+
+    expect(mockUsers.docs.has('alice')).toBe(false);
+    expect(mockUsers.docs.has('bob')).toBe(false);
+    expect(mockNotifications.docs).toEqual([]);
+    expect(mockUsers.docs.get('carol').followerCount).toBe(0);
+  });
+
+  it('can be re-run after failing halfway without double counting', async () => {
+    const { removeExportsForUser } = require('../jobs/dataExport');
+    removeExportsForUser.mockRejectedValueOnce(new Error('GridFS unavailable'));
+
+    await expect(purgeUser('alice')).rejects.toThrow('GridFS unavailable');
+    expect(mockUsers.docs.has('alice')).toBe(true);
+
+    await purgeUser('alice');
+
+    expect(mockUsers.docs.has('alice')).toBe(false);
+    expect(mockUsers.docs.get('carol').followerCount).toBe(1);
+    expect(mockNotifications.docs.every(doc => doc.sender === 'bob')).toBe(true);
+  });
+});
@@ -85,18 +85,38 @@ class NotificationService {
   }
 
   // Create follower notification
-  static async createFollowerNotification(followerId, followerName, followingId) {
+  static async createFollowerNotification(followerId, followerName, followingId, link) {
     const notificationData = {
       user: followingId,
       type: 'new_follower',
       sender: followerId,
       senderName: followerName,
-      message: `${followerName} started following you`
+      message: `${followerName} started following you`,
+      link
     };
 
     return await this.createNotification(notificationData);
   }
 
+  // Create a notification from the system rather than another user.
+  // Replaces any earlier one of the same type, since there is no sender or
+  // post to tell them apart in the unique index.
+  static async createSystemNotification(userId, type, message, link) {
+    try {
+      await Notification.deleteMany({ user: userId, type });
+
+      return await Notification.create({
+        user: userId,
+        type,
+        message,
+        link
+      });
+    } catch (error) {
+      console.error('Error creating system notification:', error);
+      return null;
+    }
+  }
+
   // Get notifications for a user (for real-time updates)
   static async getUserNotifications(userId, limit = 10) {
     return await Notification.find({ user: userId })
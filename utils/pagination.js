@@ -0,0 +1,100 @@
+// utils/pagination.js
+const mongoose = require('mongoose');
+
+// Keyset pagination. A cursor is the sort-key values of the last item a
+// client has seen, so the next page starts right after it no matter how
+// many documents were inserted in front of it. Sorts must end in _id so
+// every position is unique.
+
+class CursorError extends Error {}
+
+const sortKeys = (sort) => Object.keys(sort);
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value ?? null };
+};
+
+const decodeValue = (value) => {
+  if (!value || typeof value !== 'object') throw new CursorError('Invalid cursor');
+  if ('d' in value) {
+    const date = new Date(value.d);
+    if (isNaN(date)) throw new CursorError('Invalid cursor');
+    return date;
+  }
+  if ('o' in value) {
+    if (!mongoose.Types.ObjectId.isValid(value.o)) throw new CursorError('Invalid cursor');
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  if ('v' in value && (value.v === null || ['number', 'string', 'boolean'].includes(typeof value.v))) {
+    return value.v;
+  }
+  throw new CursorError('Invalid cursor');
+};
+
+// Opaque token for the position just after `doc` in `sort` order
+const encodeCursor = (doc, sort) => {
+  const keys = sortKeys(sort);
+  const payload = {
+    k: keys.join(','),
+    v: keys.map(key => encodeValue(key.split('.').reduce((obj, part) => obj?.[part], doc)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('Invalid cursor');
+  }
+
+  const keys = sortKeys(sort);
+  // A cursor only makes sense for the sort it was issued under
+  if (!payload || payload.k !== keys.join(',') || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+    throw new CursorError('Cursor does not match this sort order');
+  }
+  return payload.v.map(decodeValue);
+};
+
+// Filter matching everything after the cursor position:
+// (k1 past v1) OR (k1 = v1 AND k2 past v2) OR ...
+const afterCursor = (sort, values) => {
+  const keys = sortKeys(sort);
+  const $or = keys.map((key, i) => {
+    const condition = {};
+    keys.slice(0, i).forEach((prev, j) => { condition[prev] = values[j]; });
+    condition[key] = { [sort[key] === -1 ? '$lt' : '$gt']: values[i] };
+    return condition;
+  });
+  return { $or };
+};
+
+// Add the cursor condition to a filter. Returns the filter unchanged when
+// there's no cursor; throws CursorError for a bad one.
+const applyCursor = (filter, sort, cursor) => {
+  if (!cursor) return filter;
+  return { $and: [filter, afterCursor(sort, decodeCursor(cursor, sort))] };
+};
+
+// Call with up to limit + 1 documents; the extra one only signals that
+// another page exists
+const pageResult = (docs, sort, limit) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  pageResult
+};
@@ -0,0 +1,133 @@
+// utils/passwordPolicy.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BLOCKLIST = path.join(__dirname, 'data', 'common-passwords.txt');
+
+// bcrypt silently ignores everything past 72 bytes
+const BCRYPT_MAX_BYTES = 72;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const getPolicy = () => ({
+  minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  maxLength: Math.min(intFromEnv('PASSWORD_MAX_LENGTH', BCRYPT_MAX_BYTES), BCRYPT_MAX_BYTES),
+  minCharClasses: intFromEnv('PASSWORD_MIN_CHAR_CLASSES', 3),
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST
+});
+
+const CHAR_CLASSES = [
+  { name: 'lowercase', pattern: /[a-z]/ },
+  { name: 'uppercase', pattern: /[A-Z]/ },
+  { name: 'number', pattern: /[0-9]/ },
+  { name: 'symbol', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// The list is read once per file and kept as a Set
+let blocklist = null;
+let blocklistFile = null;
+
+const loadBlocklist = (file) => {
+  if (blocklist && blocklistFile === file) return blocklist;
+
+  try {
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error('❌ Failed to load password blocklist:', error.message);
+    blocklist = new Set();
+  }
+  blocklistFile = file;
+  return blocklist;
+};
+
+// Catches the usual decorations too: "Password123!" is still "password"
+const isCommonPassword = (password, file = getPolicy().blocklistFile) => {
+  const list = loadBlocklist(file);
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+
+  return list.has(lower) || (base.length >= 4 && list.has(base));
+};
+
+const personalTokens = ({ username, email } = {}) => [
+  username,
+  email && email.split('@')[0]
+]
+  .filter(token => typeof token === 'string' && token.length >= 3)
+  .map(token => token.toLowerCase());
+
+// Evaluate every rule. Each result has a stable `rule` id the frontend can
+// key its checklist on, plus a human-readable message.
+const evaluatePassword = (password, context = {}) => {
+  const policy = getPolicy();
+  const value = typeof password === 'string' ? password : '';
+  const classes = CHAR_CLASSES.filter(charClass => charClass.pattern.test(value));
+  const lower = value.toLowerCase();
+
+  const rules = [
+    {
+      rule: 'min_length',
+      passed: value.length >= policy.minLength,
+      message: `Password must be at least ${policy.minLength} characters`
+    },
+    {
+      rule: 'max_length',
+      passed: Buffer.byteLength(value, 'utf8') <= policy.maxLength,
+      message: `Password must be at most ${policy.maxLength} characters`
+    },
+    {
+      rule: 'char_classes',
+      passed: classes.length >= policy.minCharClasses,
+      message: `Password must use at least ${policy.minCharClasses} of: lowercase letters, uppercase letters, numbers, symbols`
+    },
+    {
+      rule: 'no_personal_info',
+      passed: !personalTokens(context).some(token => lower.includes(token)),
+      message: 'Password must not contain your username or email'
+    },
+    {
+      rule: 'not_common',
+      passed: value.length > 0 && !isCommonPassword(value, policy.blocklistFile),
+      message: 'This password is too common or has appeared in a data breach'
+    }
+  ];
+
+  const failures = rules.filter(result => !result.passed);
+
+  // 0-4 for a strength meter; any failed rule caps it at 1
+  let score = 0;
+  if (value.length >= policy.minLength) score++;
+  if (value.length >= policy.minLength + 4) score++;
+  if (classes.length >= 3) score++;
+  if (classes.length === 4 || value.length >= 20) score++;
+  if (failures.length > 0) score = Math.min(score, 1);
+
+  return {
+    valid: failures.length === 0,
+    score,
+    rules,
+    errors: failures.map(({ rule, message }) => ({ rule, message }))
+  };
+};
+
+// Standard 400 body for a rejected password
+const policyErrorResponse = (result) => ({
+  error: result.errors[0].message,
+  code: 'WEAK_PASSWORD',
+  reasons: result.errors
+});
+
+module.exports = {
+  getPolicy,
+  evaluatePassword,
+  isCommonPassword,
+  policyErrorResponse
+};
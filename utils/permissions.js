@@ -0,0 +1,49 @@
+// utils/permissions.js
+const Community = require('../models/Community');
+
+// Site-wide roles. Community moderators are tracked on Community.moderators.
+const ROLES = ['user', 'security', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  security: [
+    'view_security_logs',
+    'revoke_tokens'
+  ],
+  admin: [
+    'view_security_logs',
+    'revoke_tokens',
+    'manage_roles',
+    'moderate_communities',
+    'suspend_users'
+  ]
+};
+
+const hasRole = (user, roles) => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  return !!user && allowed.includes(user.role || 'user');
+};
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role || 'user'] || []).includes(permission);
+};
+
+// Moderators of a community, plus anyone allowed to moderate every community
+const canModerateCommunity = async (user, communityName) => {
+  if (!user) return false;
+  if (hasPermission(user, 'moderate_communities')) return true;
+
+  const community = await Community.findOne({ name: communityName }).select('moderators');
+  if (!community) return false;
+
+  return community.moderators.some(id => id.toString() === user._id.toString());
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasRole,
+  hasPermission,
+  canModerateCommunity
+};
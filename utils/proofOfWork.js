@@ -0,0 +1,124 @@
+// utils/proofOfWork.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ephemeralStore = require('../services/ephemeralStore');
+
+// Hashcash-style registration challenge. The client must find a `solution`
+// such that sha256(`${salt}:${solution}`) starts with `difficulty` zero bits.
+// Challenges are signed, short-lived, tied to the requester's subnet and
+// accepted once.
+//   REGISTRATION_CHALLENGE        'on' to require a solved challenge on register
+//   POW_BASE_DIFFICULTY           leading zero bits with no recent signups (16)
+//   POW_MAX_DIFFICULTY            upper bound however busy the IP is (24)
+//   POW_VOLUME_WINDOW_MINUTES     how far back registrations are counted (60)
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const isEnabled = () => process.env.REGISTRATION_CHALLENGE === 'on';
+
+// /24 for IPv4, /48 for IPv6
+const subnetOf = (ip = '') => {
+  const address = ip.replace(/^::ffff:/, '');
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).join('.') + '.0/24';
+  }
+  return address.split(':').slice(0, 3).join(':') + '::/48';
+};
+
+const volumeWindowMs = () => intFromEnv('POW_VOLUME_WINDOW_MINUTES', 60) * 60 * 1000;
+
+// Each recent registration from the same IP adds two bits (4x the work),
+// each from the rest of the subnet one bit
+const difficultyFor = async (ip) => {
+  const base = intFromEnv('POW_BASE_DIFFICULTY', 16);
+  const max = intFromEnv('POW_MAX_DIFFICULTY', 24);
+
+  const [ipCount, subnetCount] = await Promise.all([
+    ephemeralStore.get(`pow:volume:ip:${ip}`),
+    ephemeralStore.get(`pow:volume:subnet:${subnetOf(ip)}`)
+  ]);
+
+  const fromIp = Number(ipCount) || 0;
+  const fromSubnet = Math.max((Number(subnetCount) || 0) - fromIp, 0);
+
+  return Math.min(base + fromIp * 2 + fromSubnet, max);
+};
+
+const recordRegistration = async (ip) => {
+  await Promise.all([
+    ephemeralStore.increment(`pow:volume:ip:${ip}`, volumeWindowMs()),
+    ephemeralStore.increment(`pow:volume:subnet:${subnetOf(ip)}`, volumeWindowMs())
+  ]);
+};
+
+const issueChallenge = async (ip) => {
+  const difficulty = await difficultyFor(ip);
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  const challenge = jwt.sign(
+    { purpose: 'pow_challenge', salt, difficulty, subnet: subnetOf(ip) },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+
+  return {
+    challenge,
+    salt,
+    difficulty,
+    algorithm: 'sha256',
+    expiresIn: CHALLENGE_TTL_SECONDS
+  };
+};
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Returns null when the solution is accepted, otherwise the reason
+const verifySolution = async (challenge, solution, ip) => {
+  if (!challenge || solution === undefined || solution === null) {
+    return 'missing';
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(challenge, process.env.JWT_SECRET);
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? 'expired' : 'invalid';
+  }
+
+  if (claims.purpose !== 'pow_challenge') return 'invalid';
+  if (claims.subnet !== subnetOf(ip)) return 'wrong_network';
+
+  const digest = crypto.createHash('sha256').update(`${claims.salt}:${solution}`).digest();
+  if (leadingZeroBits(digest) < claims.difficulty) return 'wrong_solution';
+
+  // Checked last so a wrong guess doesn't burn the challenge
+  if (!(await ephemeralStore.claim(`pow:used:${claims.salt}`, CHALLENGE_TTL_SECONDS * 1000))) {
+    return 'reused';
+  }
+
+  return null;
+};
+
+module.exports = {
+  isEnabled,
+  subnetOf,
+  difficultyFor,
+  recordRegistration,
+  issueChallenge,
+  verifySolution
+};
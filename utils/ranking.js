@@ -0,0 +1,97 @@
+// utils/ranking.js
+
+// Post ranking scores. They're stored on the post and recomputed whenever
+// its votes change, so every sort is a plain indexed query.
+
+// Reference point for hot scores; only the difference between posts matters
+const HOT_EPOCH_SECONDS = 1134028003;
+// Seconds of age that cost as much as a 10x difference in score
+const HOT_DECAY_SECONDS = 45000;
+// 95% confidence for the Wilson interval
+const WILSON_Z = 1.96;
+
+// Log-scaled net score plus a bonus for newer posts. Because the age term
+// grows with creation time instead of shrinking with the clock, a post's
+// hot score never has to be recomputed just because time passed.
+const hotScore = (ups, downs, createdAt = new Date()) => {
+  const score = ups - downs;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
+  const seconds = new Date(createdAt).getTime() / 1000 - HOT_EPOCH_SECONDS;
+  return Number((sign * order + seconds / HOT_DECAY_SECONDS).toFixed(7));
+};
+
+// Lower bound of the Wilson score interval for the share of upvotes:
+// a few votes count for less than many votes at the same ratio
+const bestScore = (ups, downs) => {
+  const n = ups + downs;
+  if (n === 0) return 0;
+
+  const z = WILSON_Z;
+  const phat = ups / n;
+  return (
+    phat + (z * z) / (2 * n) -
+    z * Math.sqrt((phat * (1 - phat) + (z * z) / (4 * n)) / n)
+  ) / (1 + (z * z) / n);
+};
+
+// High when a post has many votes split close to evenly
+const controversialScore = (ups, downs) => {
+  if (ups <= 0 || downs <= 0) return 0;
+  const magnitude = ups + downs;
+  const balance = ups > downs ? downs / ups : ups / downs;
+  return Math.pow(magnitude, balance);
+};
+
+const computeScores = ({ upvotes, downvotes, createdAt }) => {
+  const ups = upvotes?.length || 0;
+  const downs = downvotes?.length || 0;
+  return {
+    votes: ups - downs,
+    hotScore: hotScore(ups, downs, createdAt),
+    bestScore: bestScore(ups, downs),
+    controversialScore: controversialScore(ups, downs)
+  };
+};
+
+// Listing sorts. _id breaks ties so pages don't overlap.
+const SORTS = {
+  new: { createdAt: -1, _id: -1 },
+  hot: { hotScore: -1, _id: -1 },
+  best: { bestScore: -1, _id: -1 },
+  top: { votes: -1, _id: -1 },
+  controversial: { controversialScore: -1, _id: -1 }
+};
+
+const HOUR = 60 * 60 * 1000;
+const TOP_WINDOWS = {
+  hour: HOUR,
+  day: 24 * HOUR,
+  week: 7 * 24 * HOUR,
+  month: 30 * 24 * HOUR,
+  year: 365 * 24 * HOUR,
+  all: null
+};
+
+// Query-string names are checked as own keys, so ?sort=constructor and the
+// like aren't mistaken for a sort or window
+const isSort = (name) => Object.prototype.hasOwnProperty.call(SORTS, name);
+const isTopWindow = (name) => Object.prototype.hasOwnProperty.call(TOP_WINDOWS, name);
+
+// createdAt filter for a top/controversial time window, or null for all time
+const windowStart = (t) => {
+  const span = isTopWindow(t) ? TOP_WINDOWS[t] : null;
+  return span ? new Date(Date.now() - span) : null;
+};
+
+module.exports = {
+  hotScore,
+  bestScore,
+  controversialScore,
+  computeScores,
+  SORTS,
+  TOP_WINDOWS,
+  isSort,
+  isTopWindow,
+  windowStart
+};
@@ -0,0 +1,128 @@
+// utils/rateLimits.js
+const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const RedisStore = require('./redisRateLimitStore');
+const { rateLimitHandler } = require('../services/securityLogService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Every limiter in the app. `keyBy: 'user'` counts signed-in users by
+// account (so users behind one NAT don't share a budget, and one user can't
+// dodge it by switching IPs) and everyone else by IP.
+// windowMs and max can be overridden per limiter with
+// RATE_LIMIT_<NAME>_WINDOW_MS and RATE_LIMIT_<NAME>_MAX.
+const RATE_LIMITS = {
+  global: {
+    windowMs: 15 * MINUTE,
+    max: 1000,
+    keyBy: 'user',
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Skip preflight requests
+    skip: (req) => req.method === 'OPTIONS'
+  },
+  auth: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    skipSuccessfulRequests: true
+  },
+  register: {
+    windowMs: HOUR,
+    max: 3,
+    message: 'Too many registration attempts from this IP, please try again later.'
+  },
+  strict_register: {
+    windowMs: 24 * HOUR,
+    max: 5,
+    message: 'Too many registration attempts from this IP address.',
+    skipSuccessfulRequests: true
+  },
+  login: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    message: 'Too many login attempts from this IP, please try again later.'
+  },
+  verify: {
+    windowMs: HOUR,
+    max: 5,
+    message: 'Too many verification emails requested, please try again later.'
+  },
+  reset: {
+    windowMs: HOUR,
+    max: 5,
+    message: 'Too many password reset attempts, please try again later.'
+  },
+  magic_link: {
+    windowMs: HOUR,
+    max: 5,
+    message: 'Too many sign-in link requests, please try again later.'
+  },
+  revision_diff: {
+    windowMs: 15 * MINUTE,
+    max: 60,
+    keyBy: 'user',
+    message: 'Too many revision comparisons, please try again later.'
+  },
+  security: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: 'user',
+    skip: (req) => req.user?.role === 'admin'
+  }
+};
+
+// The account behind the request: req.user when auth already ran, else the
+// bearer token's subject. Only the signature is checked, which is enough to
+// pick a counter; auth itself still rejects revoked tokens.
+const requestUserId = (req) => {
+  if (req.user?._id) return req.user._id.toString();
+
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose ? null : decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+const keyGenerators = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => {
+    const userId = requestUserId(req);
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  }
+};
+
+const envNumber = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+// Build the named limiter from RATE_LIMITS. Counts live in Redis when
+// REDIS_URL is set, in memory otherwise.
+const createLimiter = (name) => {
+  const { keyBy = 'ip', ...config } = RATE_LIMITS[name] || {};
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limiter: ${name}`);
+  }
+
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+
+  return rateLimit({
+    ...config,
+    windowMs: envNumber(`${envName}_WINDOW_MS`) ?? config.windowMs,
+    max: envNumber(`${envName}_MAX`) ?? config.max,
+    keyGenerator: keyGenerators[keyBy],
+    handler: rateLimitHandler(name),
+    store: process.env.REDIS_URL ? new RedisStore({ prefix: `rl:${name}:` }) : undefined
+  });
+};
+
+module.exports = {
+  RATE_LIMITS,
+  createLimiter
+};
@@ -0,0 +1,81 @@
+// utils/redisRateLimitStore.js
+const { MemoryStore } = require('express-rate-limit');
+const { getRedisClient } = require('../services/redisClient');
+
+// Increment and start the window on the first hit, atomically
+const INCREMENT_SCRIPT = `
+  local hits = redis.call('INCR', KEYS[1])
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+  end
+  return { hits, ttl }
+`;
+
+// express-rate-limit v6 Store backed by Redis, so counts survive deploys and
+// are shared between instances. While Redis is unavailable it counts in
+// memory instead, so limits stay enforced per instance rather than failing open.
+class RedisStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  client() {
+    const client = getRedisClient();
+    return client && client.status === 'ready' ? client : null;
+  }
+
+  async increment(key) {
+    const client = this.client();
+    if (client) {
+      try {
+        const [totalHits, ttl] = await client.eval(
+          INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs
+        );
+        return { totalHits, resetTime: new Date(Date.now() + ttl) };
+      } catch (error) {
+        console.error('Rate limit store error, counting in memory:', error.message);
+      }
+    }
+    return this.fallback.increment(key);
+  }
+
+  async decrement(key) {
+    const client = this.client();
+    if (client) {
+      try {
+        await client.decr(this.prefix + key);
+        return;
+      } catch (error) {
+        console.error('Rate limit store error:', error.message);
+      }
+    }
+    return this.fallback.decrement(key);
+  }
+
+  async resetKey(key) {
+    const client = this.client();
+    if (client) {
+      try {
+        await client.del(this.prefix + key);
+      } catch (error) {
+        console.error('Rate limit store error:', error.message);
+      }
+    }
+    return this.fallback.resetKey(key);
+  }
+
+  shutdown() {
+    return this.fallback.shutdown();
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,83 @@
+// utils/textDiff.js
+
+// Word-level diff between two strings. Returns a list of
+// { type: 'equal' | 'added' | 'removed', value } chunks that, joined,
+// rebuild the old text (equal + removed) and the new text (equal + added).
+// Plain LCS over whatever differs between the common prefix and suffix.
+// The table is capped at MAX_DIFF_CELLS; past that the changed middle is
+// reported as a single removal plus addition.
+const MAX_DIFF_CELLS = 250000;
+
+const diffWords = (before = '', after = '') => {
+  const wordsA = before.split(/(\s+)/).filter(Boolean);
+  const wordsB = after.split(/(\s+)/).filter(Boolean);
+
+  let prefix = 0;
+  while (prefix < wordsA.length && prefix < wordsB.length && wordsA[prefix] === wordsB[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < wordsA.length - prefix &&
+    suffix < wordsB.length - prefix &&
+    wordsA[wordsA.length - 1 - suffix] === wordsB[wordsB.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = wordsA.slice(prefix, wordsA.length - suffix);
+  const b = wordsB.slice(prefix, wordsB.length - suffix);
+
+  const chunks = [];
+  const push = (type, value) => {
+    if (!value) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      chunks.push({ type, value });
+    }
+  };
+
+  push('equal', wordsA.slice(0, prefix).join(''));
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    push('removed', a.join(''));
+    push('added', b.join(''));
+    push('equal', wordsA.slice(wordsA.length - suffix).join(''));
+    return chunks;
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  push('equal', wordsA.slice(wordsA.length - suffix).join(''));
+  return chunks;
+};
+
+module.exports = {
+  diffWords
+};